@@ -9,7 +9,43 @@ export type BatteryManager = {
   dischargingTime: number | null;
 };
 
+export type DebounceOptions = {
+  leading?: boolean;
+  trailing?: boolean;
+  maxWait?: number;
+};
+
+export type DebouncedFunction<T extends (...args: any[]) => any> = {
+  (...args: Parameters<T>): ReturnType<T> | undefined;
+  cancel: () => void;
+  flush: () => ReturnType<T> | undefined;
+  isPending: () => boolean;
+};
+
+export type ClickAwayOptions = {
+  refs?: React.RefObject<Element>[];
+  ignore?: string | string[];
+  events?: string | string[];
+  enabled?: boolean;
+  escape?: boolean;
+};
+
+export type ClipboardContents = {
+  types: string[];
+  text: string | null;
+  html: string | null;
+  files: Blob[];
+};
+
+export type ClipboardValue =
+  | string
+  | ClipboardItem
+  | ClipboardItem[]
+  | Record<string, string | Blob>;
+
 export type GeolocationState = {
+  supported: boolean;
+  permission: PermissionState | null;
   loading: boolean;
   accuracy: number | null;
   altitude: number | null;
@@ -20,31 +56,132 @@ export type GeolocationState = {
   speed: number | null;
   timestamp: number | null;
   error: GeolocationPositionError | null;
+  refresh: () => void;
+};
+
+export type FaviconBadgeOptions = {
+  src?: string;
+  dot?: boolean;
+  max?: number;
+  size?: number;
+  color?: string;
+  textColor?: string;
+};
+
+export type GeolocationOptions = PositionOptions & {
+  enabled?: boolean;
+  watch?: boolean;
+};
+
+export type HistoryPatch = {
+  op: "add" | "remove" | "replace";
+  path: (string | number)[];
+  value?: unknown;
+};
+
+export type HistoryPatchEntry = {
+  forward: HistoryPatch[];
+  inverse: HistoryPatch[];
+};
+
+export type HistoryLog<T> = {
+  past: T[] | HistoryPatchEntry[];
+  present: T;
+  future: T[] | HistoryPatchEntry[];
 };
 
 export type HistoryState<T> = {
   state: T;
+  past: T[] | HistoryPatchEntry[];
+  future: T[] | HistoryPatchEntry[];
   set: (newPresent: T) => void;
   undo: () => void;
   redo: () => void;
+  jumpTo: (index: number) => void;
+  startGroup: () => void;
+  endGroup: () => void;
   clear: () => void;
+  exportHistory: () => HistoryLog<T>;
+  importHistory: (history: HistoryLog<T>) => void;
   canUndo: boolean;
   canRedo: boolean;
 };
 
+export type HistoryStateOptions<T> = {
+  limit?: number;
+  groupWithin?: number;
+  patches?: boolean;
+  onChange?: (history: HistoryLog<T>) => void;
+};
+
+export type IdleOptions = {
+  events?: string[];
+  crossTab?: boolean;
+  promptBeforeIdle?: number;
+  onIdle?: () => void;
+  onActive?: () => void;
+  onPrompt?: () => void;
+};
+
+export type IdleTimerState = {
+  idle: boolean;
+  prompted: boolean;
+  remaining: number;
+  getLastActive: () => number;
+  reset: () => void;
+};
+
+export type IndexedDBStatus = {
+  loading: boolean;
+  error: Error | null;
+};
+
+export type IntersectionObserverOptions = IntersectionObserverInit & {
+  freezeOnceVisible?: boolean;
+  triggerOnce?: boolean;
+  enabled?: boolean;
+  onChange?: (entry: IntersectionObserverEntry) => void;
+};
+
 export type LongPressOptions = {
   threshold?: number;
+  moveThreshold?: number;
+  preventContextMenu?: boolean;
+  keyboard?: boolean;
   onStart?: (e: Event) => void;
   onFinish?: (e: Event) => void;
   onCancel?: (e: Event) => void;
 };
 
 export type LongPressFns = {
-  onMouseDown: (e: React.MouseEvent) => void;
-  onMouseUp: (e: React.MouseEvent) => void;
-  onMouseLeave: (e: React.MouseEvent) => void;
-  onTouchStart: (e: React.TouchEvent) => void;
-  onTouchEnd: (e: React.TouchEvent) => void;
+  onPointerDown: (e: React.PointerEvent) => void;
+  onPointerMove: (e: React.PointerEvent) => void;
+  onPointerUp: (e: React.PointerEvent) => void;
+  onPointerLeave: (e: React.PointerEvent) => void;
+  onPointerCancel: (e: React.PointerEvent) => void;
+  onTouchCancel: (e: React.TouchEvent) => void;
+  onKeyDown: (e: React.KeyboardEvent) => void;
+  onKeyUp: (e: React.KeyboardEvent) => void;
+  onContextMenu?: (e: React.MouseEvent) => void;
+  readonly progress: number;
+};
+
+export type MeasureOptions = {
+  box?: ResizeObserverBoxOptions;
+  bounds?: boolean;
+  raf?: boolean;
+  debounce?: number;
+};
+
+export type MeasureRect = {
+  width: number | null;
+  height: number | null;
+  top?: number;
+  left?: number;
+  right?: number;
+  bottom?: number;
+  x?: number;
+  y?: number;
 };
 
 export type MousePosition = {
@@ -54,6 +191,9 @@ export type MousePosition = {
   elementY: number;
   elementPositionX: number;
   elementPositionY: number;
+  isInside: boolean;
+  pointerType: string | null;
+  pressure: number;
 };
 
 export type NetworkState = {
@@ -85,6 +225,12 @@ export type CustomQueue<T> = {
   queue: T[];
 };
 
+export type PermissionInfo = {
+  state: PermissionState | null;
+  supported: boolean;
+  request: () => Promise<PermissionState | null>;
+};
+
 export type RenderInfo = {
   name: string;
   renders: number;
@@ -92,6 +238,57 @@ export type RenderInfo = {
   timestamp: number;
 };
 
+export type ResourceStatus = "loading" | "ready" | "error";
+
+export type ScrollState = {
+  x: number | null;
+  y: number | null;
+  direction: {
+    x: "left" | "right" | null;
+    y: "up" | "down" | null;
+  };
+  progress: number;
+  isAtTop: boolean;
+  isAtBottom: boolean;
+  isScrolling: boolean;
+};
+
+export type ScrollToFunction = {
+  (options: ScrollToOptions): void;
+  (x: number, y: number): void;
+};
+
+export type ScriptOptions = {
+  removeOnUnmount?: boolean;
+  integrity?: string;
+  crossOrigin?: "anonymous" | "use-credentials";
+  nonce?: string;
+  type?: string;
+  defer?: boolean;
+  timeout?: number;
+  retries?: number;
+};
+
+export type StorageOptions<T> = {
+  serialize?: (value: T) => string;
+  deserialize?: (value: string) => T;
+  validate?: (value: unknown) => boolean;
+  version?: number;
+  migrate?: (oldValue: any, fromVersion: number) => T;
+  evict?: {
+    prefix: string;
+    select?: (keys: string[]) => string[];
+  };
+  ttl?: number;
+  expiresAt?: number | Date;
+  onError?: (error: unknown) => void;
+};
+
+export type StorageStatus = {
+  error: Error | null;
+  quotaExceeded: boolean;
+};
+
 export type SpeechOptions = {
   lang?: string;
   voice?: {
@@ -116,16 +313,69 @@ export type SpeechState = {
   volume: number;
 };
 
+export type StylesheetOptions = {
+  removeOnUnmount?: boolean;
+  integrity?: string;
+  crossOrigin?: "anonymous" | "use-credentials";
+  nonce?: string;
+  media?: string;
+  timeout?: number;
+  retries?: number;
+};
+
+export type VisualViewportState = {
+  width: number | null;
+  height: number | null;
+  offsetLeft: number;
+  offsetTop: number;
+  pageLeft: number;
+  pageTop: number;
+  scale: number;
+};
+
+export type ThrottleOptions = {
+  leading?: boolean;
+  trailing?: boolean;
+  raf?: boolean;
+};
+
+export type ThrottledFunction<T extends (...args: any[]) => any> = {
+  (...args: Parameters<T>): ReturnType<T> | undefined;
+  cancel: () => void;
+  flush: () => ReturnType<T> | undefined;
+  isPending: () => boolean;
+};
+
 declare module "@uidotdev/usehooks" {
   export function useBattery(): BatteryManager;
 
+  export function useBroadcastState<T>(
+    channel: string,
+    initialValue: T,
+    options?: {
+      echo?: boolean;
+    }
+  ): [T, React.Dispatch<React.SetStateAction<T>>];
+
   export function useClickAway<T extends Element>(
-    cb: (e: Event) => void
+    cb: (e: Event) => void,
+    options?: ClickAwayOptions
   ): React.MutableRefObject<T>;
 
-  export function useCopyToClipboard(): [
-    string | null,
-    (value: string) => Promise<void>
+  export function useClipboardRead(options?: {
+    listen?: boolean;
+  }): [
+    ClipboardContents | null,
+    () => Promise<ClipboardContents | null>,
+    { error: Error | null }
+  ];
+
+  export function useCopyToClipboard(options?: {
+    resetAfter?: number;
+  }): [
+    ClipboardValue | null,
+    (value: ClipboardValue) => Promise<boolean>,
+    { error: Error | null; reset: () => void }
   ];
 
   export function useCounter(
@@ -144,30 +394,81 @@ declare module "@uidotdev/usehooks" {
     }
   ];
 
-  export function useDebounce<T>(value: T, delay: number): T;
+  export function useDebounce<T>(
+    value: T,
+    delay: number,
+    options?: DebounceOptions
+  ): T;
+
+  export function useDebouncedCallback<T extends (...args: any[]) => any>(
+    fn: T,
+    delay: number,
+    options?: DebounceOptions
+  ): DebouncedFunction<T>;
 
   export function useDefault<T>(
     initialValue: T,
     defaultValue: T
   ): [T, React.Dispatch<React.SetStateAction<T>>];
 
-  export function useDocumentTitle(title: string): void;
+  export function useDocumentTitle(
+    title: string,
+    options?: { template?: string }
+  ): void;
 
   export function useFavicon(url: string): void;
 
-  export function useGeolocation(options?: PositionOptions): GeolocationState;
+  export function useFaviconBadge(
+    count: number | boolean | null | undefined,
+    options?: FaviconBadgeOptions
+  ): void;
 
-  export function useHistoryState<T>(initialPresent?: T): HistoryState<T>;
+  export function useFocusVisible<T extends Element>(): [
+    React.RefCallback<T>,
+    boolean
+  ];
 
-  export function useHover<T extends Element>(): [
+  export function useFocusWithin<T extends Element>(): [
     React.RefCallback<T>,
     boolean
   ];
 
-  export function useIdle(ms?: number): boolean;
+  export function useGeolocation(
+    options?: GeolocationOptions
+  ): GeolocationState;
+
+  export function useHeadMeta(
+    meta: Record<string, string | number | null | undefined>
+  ): void;
+
+  export function useHistoryState<T>(
+    initialPresent?: T,
+    options?: HistoryStateOptions<T>
+  ): HistoryState<T>;
+
+  export function useHover<T extends Element>(options?: {
+    enterDelay?: number;
+    leaveDelay?: number;
+    pointerTypes?: Array<"mouse" | "pen" | "touch">;
+  }): [React.RefCallback<T>, boolean];
+
+  export function useIdle(ms?: number, options?: IdleOptions): boolean;
+
+  export function useIdleTimer(
+    options?: IdleOptions & { timeout?: number }
+  ): IdleTimerState;
+
+  export function useIndexedDB<T>(
+    key: IDBValidKey,
+    initialValue: T,
+    options?: {
+      dbName?: string;
+      storeName?: string;
+    }
+  ): [T, React.Dispatch<React.SetStateAction<T>>, IndexedDBStatus];
 
   export function useIntersectionObserver<T extends Element>(
-    options?: IntersectionObserverInit
+    options?: IntersectionObserverOptions
   ): [React.RefCallback<T>, IntersectionObserverEntry | null];
 
   export function useIsClient(): boolean;
@@ -178,8 +479,9 @@ declare module "@uidotdev/usehooks" {
 
   export function useLocalStorage<T>(
     key: string,
-    initialValue?: T
-  ): [T, React.Dispatch<React.SetStateAction<T>>];
+    initialValue?: T,
+    options?: StorageOptions<T>
+  ): [T, React.Dispatch<React.SetStateAction<T>>, StorageStatus];
 
   export function useLockBodyScroll(): void;
 
@@ -190,22 +492,25 @@ declare module "@uidotdev/usehooks" {
 
   export function useMap<T>(initialState?: T): Map<T, any>;
 
-  export function useMeasure<T extends Element>(): [
-    React.RefCallback<T>,
-    {
-      width: number | null;
-      height: number | null;
-    }
-  ];
+  export function useMeasure<T extends Element>(
+    options?: MeasureOptions
+  ): [React.RefCallback<T>, MeasureRect];
 
-  export function useMediaQuery(query: string): boolean;
+  export function useMediaQuery(
+    query: string,
+    options?: {
+      serverValue?: boolean;
+    }
+  ): boolean;
 
   export function useMouse<T extends Element>(): [
     MousePosition,
     React.MutableRefObject<T>
   ];
 
-  export function useNetworkState(): NetworkState;
+  export function useNetworkState(options?: {
+    serverValue?: NetworkState;
+  }): NetworkState;
 
   export function useObjectState<T>(initialValue: T): [T, (arg: T) => void];
 
@@ -214,7 +519,11 @@ declare module "@uidotdev/usehooks" {
     type: string;
   };
 
-  export function usePreferredLanguage(): string;
+  export function usePermission(name: PermissionName | string): PermissionInfo;
+
+  export function usePreferredLanguage(options?: {
+    serverValue?: string;
+  }): string;
 
   export function usePrevious<T>(newValue: T): T;
 
@@ -226,29 +535,60 @@ declare module "@uidotdev/usehooks" {
 
   export function useScript(
     src: string,
-    options?: {
-      removeOnUnmount?: boolean;
-    }
-  ): "unknown" | "loading" | "ready" | "error";
+    options?: ScriptOptions
+  ): ResourceStatus;
+
+  export function useScroll<T extends Element>(options?: {
+    delay?: number;
+  }): [
+    React.RefCallback<T>,
+    ScrollState,
+    ScrollToFunction,
+    (target: Element | string, options?: ScrollIntoViewOptions) => void
+  ];
 
   export function useSessionStorage<T>(
     key: string,
-    initialValue: T
-  ): [T, React.Dispatch<React.SetStateAction<T>>];
+    initialValue: T,
+    options?: StorageOptions<T>
+  ): [T, React.Dispatch<React.SetStateAction<T>>, StorageStatus];
 
   export function useSet<T>(values?: T[]): Set<T>;
 
   export function useSpeech(text: string, options?: SpeechOptions): SpeechState;
 
-  export function useThrottle<T>(value: T, delay: number): T;
+  export function useStylesheet(
+    href: string,
+    options?: StylesheetOptions
+  ): ResourceStatus;
+
+  export function useThrottle<T>(
+    value: T,
+    interval?: number,
+    options?: ThrottleOptions
+  ): T;
+
+  export function useThrottledCallback<T extends (...args: any[]) => any>(
+    fn: T,
+    interval?: number,
+    options?: ThrottleOptions
+  ): ThrottledFunction<T>;
 
   export function useToggle(
     initialValue?: boolean
   ): [boolean, (newValue?: boolean) => void];
 
-  export function useVisibilityChange(): boolean;
+  export function useVisibilityChange(options?: {
+    serverValue?: boolean;
+  }): boolean;
+
+  export function useVisualViewport(options?: {
+    serverValue?: VisualViewportState;
+  }): VisualViewportState;
 
-  export function useWindowScroll(): [
+  export function useWindowScroll(options?: {
+    serverValue?: { x: number | null; y: number | null };
+  }): [
     {
       x: number | null;
       y: number | null;
@@ -256,7 +596,9 @@ declare module "@uidotdev/usehooks" {
     (args: unknown) => void
   ];
 
-  export function useWindowSize(): {
+  export function useWindowSize(options?: {
+    serverValue?: { width: number | null; height: number | null };
+  }): {
     width: number | null;
     height: number | null;
   };
@@ -23,19 +23,146 @@ function isTouchEvent({ nativeEvent }) {
     : "touches" in nativeEvent;
 }
 
-function isMouseEvent(event) {
-  return event.nativeEvent instanceof MouseEvent;
+function throttle(cb, ms, options = {}) {
+  const { leading = true, trailing = true, raf = false } = options;
+  let timerId = null;
+  let pendingArgs = null;
+  let result;
+
+  const schedule = (fn) =>
+    raf ? window.requestAnimationFrame(fn) : window.setTimeout(fn, ms);
+
+  const unschedule = (id) =>
+    raf ? window.cancelAnimationFrame(id) : window.clearTimeout(id);
+
+  const invoke = () => {
+    const args = pendingArgs;
+    pendingArgs = null;
+    result = cb(...args);
+  };
+
+  const handleTimer = () => {
+    timerId = null;
+
+    if (trailing && pendingArgs) {
+      invoke();
+      timerId = schedule(handleTimer);
+    } else {
+      pendingArgs = null;
+    }
+  };
+
+  const throttled = (...args) => {
+    pendingArgs = args;
+
+    if (timerId === null) {
+      if (leading) {
+        invoke();
+      }
+
+      timerId = schedule(handleTimer);
+    }
+
+    return result;
+  };
+
+  throttled.cancel = () => {
+    if (timerId !== null) {
+      unschedule(timerId);
+    }
+
+    timerId = null;
+    pendingArgs = null;
+  };
+
+  throttled.flush = () => {
+    if (timerId !== null && pendingArgs) {
+      unschedule(timerId);
+      timerId = null;
+      invoke();
+    }
+
+    return result;
+  };
+
+  throttled.isPending = () => timerId !== null && pendingArgs !== null;
+
+  return throttled;
 }
 
-function throttle(cb, ms) {
-  let lastTime = 0;
-  return () => {
-    const now = Date.now();
-    if (now - lastTime >= ms) {
-      cb();
-      lastTime = now;
+function debounce(cb, wait, options = {}) {
+  const { leading = false, trailing = true, maxWait } = options;
+  let timeoutId = null;
+  let maxTimeoutId = null;
+  let pendingArgs = null;
+  let result;
+
+  const clearTimers = () => {
+    window.clearTimeout(timeoutId);
+    window.clearTimeout(maxTimeoutId);
+    timeoutId = null;
+    maxTimeoutId = null;
+  };
+
+  const invoke = () => {
+    const args = pendingArgs;
+    pendingArgs = null;
+    result = cb(...args);
+  };
+
+  const handleTimeout = () => {
+    clearTimers();
+
+    if (trailing && pendingArgs) {
+      invoke();
+    }
+
+    pendingArgs = null;
+  };
+
+  const debounced = (...args) => {
+    pendingArgs = args;
+
+    if (timeoutId === null) {
+      if (leading) {
+        invoke();
+      }
+
+      if (typeof maxWait === "number") {
+        maxTimeoutId = window.setTimeout(
+          handleTimeout,
+          Math.max(maxWait, wait)
+        );
+      }
+    } else {
+      window.clearTimeout(timeoutId);
     }
+
+    timeoutId = window.setTimeout(handleTimeout, wait);
+
+    return result;
   };
+
+  debounced.cancel = () => {
+    clearTimers();
+    pendingArgs = null;
+  };
+
+  debounced.flush = () => {
+    if (timeoutId !== null) {
+      clearTimers();
+
+      if (pendingArgs) {
+        invoke();
+      }
+    }
+
+    return result;
+  };
+
+  debounced.isPending = () => timeoutId !== null;
+
+  return debounced;
 }
 
 function isPlainObject(value) {
@@ -46,6 +173,401 @@ function dispatchStorageEvent(key, newValue) {
   window.dispatchEvent(new StorageEvent("storage", { key, newValue }));
 }
 
+function isQuotaExceededError(e) {
+  return (
+    e?.name === "QuotaExceededError" ||
+    e?.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+    e?.code === 22 ||
+    e?.code === 1014
+  );
+}
+
+function createMemoryStorage() {
+  const items = new Map();
+
+  return {
+    get length() {
+      return items.size;
+    },
+    key: (index) => Array.from(items.keys())[index] ?? null,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    },
+    clear: () => {
+      items.clear();
+    },
+  };
+}
+
+const storages = {};
+
+function getStorage(name) {
+  if (!storages[name]) {
+    try {
+      const storage = window[name];
+      const probeKey = "usehooks:probe";
+
+      try {
+        storage.setItem(probeKey, probeKey);
+        storage.removeItem(probeKey);
+      } catch (e) {
+        if (!isQuotaExceededError(e) || storage.length === 0) {
+          throw e;
+        }
+      }
+
+      storages[name] = storage;
+    } catch (e) {
+      storages[name] = createMemoryStorage();
+    }
+  }
+
+  return storages[name];
+}
+
+function getEvictionCandidates(storage, key, evict) {
+  const keys = [];
+
+  for (let i = 0; i < storage.length; i++) {
+    const candidate = storage.key(i);
+
+    if (candidate !== key && candidate?.startsWith(evict.prefix)) {
+      keys.push(candidate);
+    }
+  }
+
+  if (typeof evict.select === "function") {
+    return evict.select(keys);
+  }
+
+  return keys.sort(
+    (a, b) =>
+      (storage.getItem(b)?.length ?? 0) - (storage.getItem(a)?.length ?? 0)
+  );
+}
+
+function setStorageItem(storage, key, value, options = {}) {
+  const { evict } = options;
+
+  try {
+    storage.setItem(key, value);
+  } catch (e) {
+    if (!evict || !isQuotaExceededError(e)) {
+      throw e;
+    }
+
+    for (const candidate of getEvictionCandidates(storage, key, evict)) {
+      storage.removeItem(candidate);
+      dispatchStorageEvent(candidate, null);
+
+      try {
+        storage.setItem(key, value);
+        return;
+      } catch (retryError) {
+        if (!isQuotaExceededError(retryError)) {
+          throw retryError;
+        }
+      }
+    }
+
+    throw e;
+  }
+}
+
+const MAX_TIMEOUT = 2147483647;
+
+function parseStorageEnvelope(raw) {
+  try {
+    const envelope = JSON.parse(raw);
+
+    if (
+      isPlainObject(envelope) &&
+      typeof envelope.value === "string" &&
+      (typeof envelope.version === "number" ||
+        typeof envelope.expiresAt === "number") &&
+      Object.keys(envelope).every((k) =>
+        ["value", "version", "expiresAt"].includes(k)
+      )
+    ) {
+      return envelope;
+    }
+  } catch (e) {}
+
+  return null;
+}
+
+function getStorageExpiry(options = {}) {
+  const { ttl, expiresAt } = options;
+
+  if (typeof ttl === "number") {
+    return Date.now() + ttl;
+  }
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    return new Date(expiresAt).getTime();
+  }
+
+  return null;
+}
+
+function stringifyStorageValue(value, options = {}) {
+  const { serialize = JSON.stringify, version } = options;
+  const serializedValue = serialize(value);
+  const expiresAt = getStorageExpiry(options);
+
+  if (typeof version !== "number" && expiresAt === null) {
+    return serializedValue;
+  }
+
+  return JSON.stringify({
+    version,
+    expiresAt: expiresAt ?? undefined,
+    value: serializedValue,
+  });
+}
+
+function parseStorageValue(key, raw, options = {}) {
+  const {
+    deserialize = JSON.parse,
+    validate,
+    version,
+    migrate,
+    ttl,
+    expiresAt: configuredExpiresAt,
+  } = options;
+
+  const usesEnvelope =
+    typeof version === "number" ||
+    typeof ttl === "number" ||
+    (configuredExpiresAt !== undefined && configuredExpiresAt !== null);
+  const envelope = usesEnvelope ? parseStorageEnvelope(raw) : null;
+  const expiresAt = envelope?.expiresAt ?? null;
+
+  if (expiresAt !== null && expiresAt <= Date.now()) {
+    return { expired: true, expiresAt };
+  }
+
+  let value = deserialize(envelope ? envelope.value : raw);
+
+  const fromVersion = envelope?.version ?? 0;
+  const migrated = typeof version === "number" && fromVersion !== version;
+
+  if (migrated) {
+    if (typeof migrate !== "function") {
+      throw new Error(
+        `The value stored under "${key}" is at version ${fromVersion}, but no migrate function was provided to bring it to version ${version}.`
+      );
+    }
+
+    value = migrate(value, fromVersion);
+  }
+
+  if (typeof validate === "function" && !validate(value)) {
+    throw new Error(`The value stored under "${key}" failed validation.`);
+  }
+
+  return { value, migrated, expiresAt };
+}
+
+function setWebStorageItem(storageName, key, value, options) {
+  const stringifiedValue = stringifyStorageValue(value, options);
+  setStorageItem(getStorage(storageName), key, stringifiedValue, options);
+  dispatchStorageEvent(key, stringifiedValue);
+}
+
+function removeWebStorageItem(storageName, key) {
+  getStorage(storageName).removeItem(key);
+  dispatchStorageEvent(key, null);
+}
+
+function getWebStorageItem(storageName, key) {
+  return getStorage(storageName).getItem(key);
+}
+
+function subscribeWebStorage(callback) {
+  window.addEventListener("storage", callback);
+  return () => window.removeEventListener("storage", callback);
+}
+
+function getWebStorageServerSnapshot() {
+  return null;
+}
+
+function useWebStorage(storageName, key, initialValue, options = {}) {
+  const {
+    serialize,
+    deserialize,
+    validate,
+    version,
+    migrate,
+    evict,
+    ttl,
+    expiresAt,
+    onError = console.warn,
+  } = options;
+
+  const [error, setError] = React.useState(null);
+  const optionsRef = React.useRef({
+    serialize,
+    deserialize,
+    validate,
+    migrate,
+    evict,
+    expiresAt,
+    onError,
+    initialValue,
+  });
+  const failedInitialWrite = React.useRef(null);
+
+  React.useLayoutEffect(() => {
+    optionsRef.current = {
+      serialize,
+      deserialize,
+      validate,
+      migrate,
+      evict,
+      expiresAt,
+      onError,
+      initialValue,
+    };
+  });
+
+  const getSnapshot = () => getWebStorageItem(storageName, key);
+
+  const store = React.useSyncExternalStore(
+    subscribeWebStorage,
+    getSnapshot,
+    getWebStorageServerSnapshot
+  );
+
+  const stored = React.useMemo(() => {
+    if (store === null) {
+      return null;
+    }
+
+    const { deserialize, validate, migrate, expiresAt } = optionsRef.current;
+
+    try {
+      return parseStorageValue(key, store, {
+        deserialize,
+        validate,
+        version,
+        migrate,
+        ttl,
+        expiresAt,
+      });
+    } catch (e) {
+      return { error: e };
+    }
+  }, [storageName, key, store, version, ttl]);
+
+  const state =
+    stored && !stored.expired && !stored.error ? stored.value : initialValue;
+
+  React.useEffect(() => {
+    if (stored?.error) {
+      setError(stored.error);
+      optionsRef.current.onError(stored.error);
+    }
+  }, [stored]);
+
+  const writeState = React.useCallback(
+    (nextState) => {
+      const { serialize, evict, expiresAt, onError } = optionsRef.current;
+
+      try {
+        if (nextState === undefined || nextState === null) {
+          removeWebStorageItem(storageName, key);
+        } else {
+          setWebStorageItem(storageName, key, nextState, {
+            serialize,
+            version,
+            evict,
+            ttl,
+            expiresAt,
+          });
+        }
+
+        setError(null);
+        return true;
+      } catch (e) {
+        setError(e);
+        onError(e);
+        return false;
+      }
+    },
+    [storageName, key, version, ttl]
+  );
+
+  const setState = React.useCallback(
+    (v) => {
+      try {
+        writeState(typeof v === "function" ? v(state) : v);
+      } catch (e) {
+        optionsRef.current.onError(e);
+      }
+    },
+    [state, writeState]
+  );
+
+  React.useEffect(() => {
+    const { initialValue } = optionsRef.current;
+
+    if (
+      failedInitialWrite.current !== key &&
+      getWebStorageItem(storageName, key) === null &&
+      initialValue !== undefined &&
+      initialValue !== null &&
+      !writeState(initialValue)
+    ) {
+      failedInitialWrite.current = key;
+    }
+  }, [key, writeState]);
+
+  React.useEffect(() => {
+    if (stored?.migrated) {
+      writeState(stored.value);
+    }
+  }, [stored, writeState]);
+
+  React.useEffect(() => {
+    if (typeof stored?.expiresAt !== "number") {
+      return;
+    }
+
+    let timeoutId;
+
+    const handleExpiry = () => {
+      const remaining = stored.expiresAt - Date.now();
+
+      if (remaining <= 0) {
+        removeWebStorageItem(storageName, key);
+      } else {
+        timeoutId = window.setTimeout(
+          handleExpiry,
+          Math.min(remaining, MAX_TIMEOUT)
+        );
+      }
+    };
+
+    handleExpiry();
+
+    return () => {
+      window.clearTimeout(timeoutId);
+    };
+  }, [storageName, key, stored]);
+
+  return [
+    state,
+    setState,
+    { error, quotaExceeded: isQuotaExceededError(error) },
+  ];
+}
+
 export function useBattery() {
   const [state, setState] = React.useState({
     supported: true,
@@ -102,65 +624,440 @@ export function useBattery() {
   return state;
 }
 
-export function useClickAway(cb) {
+const broadcastStateTabId = Math.random().toString(36).slice(2);
+const broadcastStateChannels = new Map();
+
+const getBroadcastStateChannel = (name) => {
+  let channel = broadcastStateChannels.get(name);
+
+  if (!channel) {
+    channel = {
+      latest: null,
+      clock: 0,
+      port: null,
+      handleStorage: null,
+      listeners: new Set(),
+    };
+    broadcastStateChannels.set(name, channel);
+  }
+
+  return channel;
+};
+
+const getBroadcastStateStorageKey = (name) => `usehooks:broadcast:${name}`;
+
+const isNewerBroadcastStateMessage = (message, latest) => {
+  if (!latest) {
+    return true;
+  }
+
+  if (message.time !== latest.time) {
+    return message.time > latest.time;
+  }
+
+  return message.id > latest.id;
+};
+
+const receiveBroadcastStateMessage = (channel, message) => {
+  channel.clock = Math.max(channel.clock, message.time);
+
+  if (isNewerBroadcastStateMessage(message, channel.latest)) {
+    channel.latest = message;
+    channel.listeners.forEach((listener) => listener());
+  }
+};
+
+const handleBroadcastStateMessage = (name, channel, message) => {
+  if (message.request === "sync") {
+    if (channel.latest) {
+      postBroadcastStateMessage(name, channel.latest);
+    }
+  } else {
+    receiveBroadcastStateMessage(channel, message);
+  }
+};
+
+const postBroadcastStateMessage = (name, message) => {
+  const channel = getBroadcastStateChannel(name);
+
+  if (channel.port) {
+    channel.port.postMessage(message);
+  } else if (typeof BroadcastChannel !== "undefined") {
+    const port = new BroadcastChannel(name);
+    port.postMessage(message);
+    port.close();
+  } else {
+    window.localStorage.setItem(
+      getBroadcastStateStorageKey(name),
+      JSON.stringify(message)
+    );
+  }
+};
+
+const subscribeBroadcastState = (name, callback) => {
+  const channel = getBroadcastStateChannel(name);
+  const storageKey = getBroadcastStateStorageKey(name);
+
+  const handleStorage = (event) => {
+    if (event.key === storageKey && event.newValue) {
+      try {
+        receiveBroadcastStateMessage(channel, JSON.parse(event.newValue));
+      } catch (e) {
+        console.warn(e);
+      }
+    }
+  };
+
+  if (channel.listeners.size === 0) {
+    if (typeof BroadcastChannel !== "undefined") {
+      channel.port = new BroadcastChannel(name);
+      channel.port.onmessage = (e) => {
+        handleBroadcastStateMessage(name, channel, e.data);
+      };
+      channel.port.postMessage({ request: "sync", id: broadcastStateTabId });
+    } else {
+      window.addEventListener("storage", handleStorage);
+      channel.handleStorage = handleStorage;
+      handleStorage({
+        key: storageKey,
+        newValue: window.localStorage.getItem(storageKey),
+      });
+    }
+  }
+
+  channel.listeners.add(callback);
+
+  return () => {
+    channel.listeners.delete(callback);
+
+    if (channel.listeners.size === 0) {
+      if (channel.port) {
+        channel.port.close();
+        channel.port = null;
+      }
+
+      if (channel.handleStorage) {
+        window.removeEventListener("storage", channel.handleStorage);
+        channel.handleStorage = null;
+      }
+    }
+  };
+};
+
+export function useBroadcastState(channel, initialValue, options = {}) {
+  const { echo = true } = options;
+  const initialValueRef = React.useRef(initialValue);
+  const skippedMessageRef = React.useRef(null);
+
+  const subscribe = React.useCallback(
+    (callback) => subscribeBroadcastState(channel, callback),
+    [channel]
+  );
+
+  const getSnapshot = () => {
+    const { latest } = getBroadcastStateChannel(channel);
+
+    if (latest && latest === skippedMessageRef.current?.message) {
+      return skippedMessageRef.current.value;
+    }
+
+    return latest ? latest.value : initialValueRef.current;
+  };
+
+  const getServerSnapshot = () => initialValueRef.current;
+
+  const state = React.useSyncExternalStore(
+    subscribe,
+    getSnapshot,
+    getServerSnapshot
+  );
+
+  const setState = React.useCallback(
+    (v) => {
+      const store = getBroadcastStateChannel(channel);
+      const current = store.latest
+        ? store.latest.value
+        : initialValueRef.current;
+
+      const message = {
+        value: typeof v === "function" ? v(current) : v,
+        time: Math.max(Date.now(), store.clock + 1),
+        id: broadcastStateTabId,
+      };
+
+      try {
+        postBroadcastStateMessage(channel, message);
+      } catch (e) {
+        console.warn(e);
+        return;
+      }
+
+      store.clock = message.time;
+
+      if (!echo) {
+        const skipped = skippedMessageRef.current;
+
+        skippedMessageRef.current = {
+          message,
+          value:
+            store.latest && store.latest === skipped?.message
+              ? skipped.value
+              : current,
+        };
+      }
+
+      receiveBroadcastStateMessage(store, message);
+    },
+    [channel, echo]
+  );
+
+  return [state, setState];
+}
+
+export function useClickAway(cb, options = {}) {
+  const {
+    refs = [],
+    ignore = [],
+    events = ["mousedown", "touchstart"],
+    enabled = true,
+    escape = false,
+  } = options;
   const ref = React.useRef(null);
   const refCb = React.useRef(cb);
+  const refTargets = React.useRef({ refs, ignore });
+  const eventList = [].concat(events).join(" ");
 
   React.useLayoutEffect(() => {
     refCb.current = cb;
+    refTargets.current = { refs, ignore };
   });
 
   React.useEffect(() => {
+    if (!enabled) return;
+
     const handler = (e) => {
-      const element = ref.current;
-      if (element && !element.contains(e.target)) {
+      const elements = [ref, ...refTargets.current.refs]
+        .map((r) => r.current)
+        .filter(Boolean);
+      const selectors = [].concat(refTargets.current.ignore);
+
+      if (elements.length === 0) return;
+
+      const path = e.composedPath?.() ?? [e.target];
+      const isInside = path.some(
+        (node) =>
+          elements.includes(node) ||
+          selectors.some((selector) => node.matches?.(selector))
+      );
+
+      if (!isInside) {
+        refCb.current(e);
+      }
+    };
+
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") {
         refCb.current(e);
       }
     };
 
-    document.addEventListener("mousedown", handler);
-    document.addEventListener("touchstart", handler);
+    const eventNames = eventList.split(" ");
+
+    const timeoutId = window.setTimeout(() => {
+      eventNames.forEach((name) => document.addEventListener(name, handler));
+    }, 0);
+
+    if (escape) {
+      document.addEventListener("keydown", handleKeyDown);
+    }
 
     return () => {
-      document.removeEventListener("mousedown", handler);
-      document.removeEventListener("touchstart", handler);
+      window.clearTimeout(timeoutId);
+      eventNames.forEach((name) => document.removeEventListener(name, handler));
+      document.removeEventListener("keydown", handleKeyDown);
     };
-  }, []);
+  }, [eventList, enabled, escape]);
 
   return ref;
 }
 
+const readClipboardData = (clipboardData) => {
+  return {
+    types: Array.from(clipboardData.types ?? []),
+    text: clipboardData.getData("text/plain") || null,
+    html: clipboardData.getData("text/html") || null,
+    files: Array.from(clipboardData.files ?? []),
+  };
+};
+
+const readClipboardItems = async (items) => {
+  const contents = { types: [], text: null, html: null, files: [] };
+
+  for (const item of items) {
+    for (const type of item.types) {
+      const blob = await item.getType(type);
+      contents.types.push(type);
+
+      if (type === "text/plain") {
+        contents.text = await blob.text();
+      } else if (type === "text/html") {
+        contents.html = await blob.text();
+      } else {
+        contents.files.push(blob);
+      }
+    }
+  }
+
+  return contents;
+};
+
+export function useClipboardRead(options = {}) {
+  const { listen = true } = options;
+  const [contents, setContents] = React.useState(null);
+  const [error, setError] = React.useState(null);
+
+  const read = React.useCallback(async () => {
+    try {
+      let nextContents;
+
+      if (navigator?.clipboard?.read) {
+        nextContents = await readClipboardItems(
+          await navigator.clipboard.read()
+        );
+      } else if (navigator?.clipboard?.readText) {
+        nextContents = {
+          types: ["text/plain"],
+          text: await navigator.clipboard.readText(),
+          html: null,
+          files: [],
+        };
+      } else {
+        throw new Error("Reading from the clipboard is not supported.");
+      }
+
+      setContents(nextContents);
+      setError(null);
+
+      return nextContents;
+    } catch (e) {
+      setError(e);
+      return null;
+    }
+  }, []);
+
+  React.useEffect(() => {
+    if (!listen) {
+      return;
+    }
+
+    const handlePaste = (e) => {
+      if (e.clipboardData) {
+        setContents(readClipboardData(e.clipboardData));
+        setError(null);
+      }
+    };
+
+    document.addEventListener("paste", handlePaste);
+
+    return () => {
+      document.removeEventListener("paste", handlePaste);
+    };
+  }, [listen]);
+
+  return [contents, read, { error }];
+}
+
 function oldSchoolCopy(text) {
   const tempTextArea = document.createElement("textarea");
   tempTextArea.value = text;
   document.body.appendChild(tempTextArea);
   tempTextArea.select();
-  document.execCommand("copy");
+  const copied = document.execCommand("copy");
   document.body.removeChild(tempTextArea);
+
+  if (!copied) {
+    throw new Error("Unable to copy to the clipboard.");
+  }
 }
 
-export function useCopyToClipboard() {
+const toClipboardItems = (value) => {
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  if (typeof ClipboardItem !== "undefined" && value instanceof ClipboardItem) {
+    return [value];
+  }
+
+  const data = {};
+
+  for (const [type, content] of Object.entries(value)) {
+    data[type] =
+      typeof content === "string" ? new Blob([content], { type }) : content;
+  }
+
+  return [new ClipboardItem(data)];
+};
+
+export function useCopyToClipboard(options = {}) {
+  const { resetAfter } = options;
   const [state, setState] = React.useState(null);
+  const [error, setError] = React.useState(null);
+  const resetTimeoutId = React.useRef(null);
+
+  const reset = React.useCallback(() => {
+    window.clearTimeout(resetTimeoutId.current);
+    setState(null);
+    setError(null);
+  }, []);
+
+  const copyToClipboard = React.useCallback(
+    async (value) => {
+      window.clearTimeout(resetTimeoutId.current);
 
-  const copyToClipboard = React.useCallback((value) => {
-    const handleCopy = async () => {
       try {
-        if (navigator?.clipboard?.writeText) {
-          await navigator.clipboard.writeText(value);
-          setState(value);
+        if (typeof value === "string" && !navigator?.clipboard?.writeText) {
+          oldSchoolCopy(value);
+        } else if (typeof value === "string") {
+          try {
+            await navigator.clipboard.writeText(value);
+          } catch (e) {
+            try {
+              oldSchoolCopy(value);
+            } catch (fallbackError) {
+              throw e;
+            }
+          }
+        } else if (navigator?.clipboard?.write) {
+          await navigator.clipboard.write(toClipboardItems(value));
         } else {
-          throw new Error("writeText not supported");
+          throw new Error("Copying rich content is not supported.");
         }
-      } catch (e) {
-        oldSchoolCopy(value);
+
         setState(value);
+        setError(null);
+
+        if (typeof resetAfter === "number") {
+          resetTimeoutId.current = window.setTimeout(reset, resetAfter);
+        }
+
+        return true;
+      } catch (e) {
+        setState(null);
+        setError(e);
+        return false;
       }
-    };
+    },
+    [resetAfter, reset]
+  );
 
-    handleCopy();
+  React.useEffect(() => {
+    return () => {
+      window.clearTimeout(resetTimeoutId.current);
+    };
   }, []);
 
-  return [state, copyToClipboard];
+  return [state, copyToClipboard, { error, reset }];
 }
 
 export function useCounter(startingValue = 0, options = {}) {
@@ -236,20 +1133,54 @@ export function useCounter(startingValue = 0, options = {}) {
   ];
 }
 
-export function useDebounce(value, delay) {
+export function useDebounce(value, delay, options = {}) {
   const [debouncedValue, setDebouncedValue] = React.useState(value);
 
+  const debouncedSetValue = useDebouncedCallback(
+    setDebouncedValue,
+    delay,
+    options
+  );
+
+  const isFirstRun = React.useRef(true);
+
   React.useEffect(() => {
-    const handler = setTimeout(() => {
-      setDebouncedValue(value);
-    }, delay);
+    if (isFirstRun.current) {
+      isFirstRun.current = false;
+      return;
+    }
+
+    debouncedSetValue(value);
+  }, [value, debouncedSetValue]);
+
+  return debouncedValue;
+}
+
+export function useDebouncedCallback(fn, delay, options = {}) {
+  const { leading = false, trailing = true, maxWait } = options;
+  const fnRef = React.useRef(fn);
 
+  React.useLayoutEffect(() => {
+    fnRef.current = fn;
+  });
+
+  const debounced = React.useMemo(
+    () =>
+      debounce((...args) => fnRef.current(...args), delay, {
+        leading,
+        trailing,
+        maxWait,
+      }),
+    [delay, leading, trailing, maxWait]
+  );
+
+  React.useEffect(() => {
     return () => {
-      clearTimeout(handler);
+      debounced.cancel();
     };
-  }, [value, delay]);
+  }, [debounced]);
 
-  return debouncedValue;
+  return debounced;
 }
 
 export function useDefault(initialValue, defaultValue) {
@@ -262,31 +1193,377 @@ export function useDefault(initialValue, defaultValue) {
   return [state, setState];
 }
 
-export function useDocumentTitle(title) {
+let headEntryId = 0;
+const headStacks = new Map();
+
+const getMetaElement = (name, create) => {
+  const attribute = name.startsWith("og:") ? "property" : "name";
+  let element = document.head.querySelector(`meta[${attribute}="${name}"]`);
+
+  if (!element && create) {
+    element = document.createElement("meta");
+    element.setAttribute(attribute, name);
+    document.head.appendChild(element);
+  }
+
+  return element;
+};
+
+const readHeadValue = (key) => {
+  if (key === "title") {
+    return document.title;
+  }
+
+  return getMetaElement(key.slice(5), false)?.getAttribute("content") ?? null;
+};
+
+const writeHeadValue = (key, value) => {
+  if (key === "title") {
+    document.title = value;
+  } else if (value === null) {
+    getMetaElement(key.slice(5), false)?.remove();
+  } else {
+    getMetaElement(key.slice(5), true).setAttribute("content", value);
+  }
+};
+
+const applyHeadStack = (key, stack) => {
+  if (stack.entries.size === 0) {
+    writeHeadValue(key, stack.initial);
+  } else {
+    const top = Math.max(...stack.entries.keys());
+    writeHeadValue(key, stack.entries.get(top));
+  }
+};
+
+const setHeadEntry = (key, id, value) => {
+  let stack = headStacks.get(key);
+
+  if (!stack) {
+    stack = { initial: readHeadValue(key), entries: new Map() };
+    headStacks.set(key, stack);
+  }
+
+  stack.entries.set(id, value);
+  applyHeadStack(key, stack);
+};
+
+const removeHeadEntry = (key, id) => {
+  const stack = headStacks.get(key);
+
+  if (!stack) return;
+
+  stack.entries.delete(id);
+  applyHeadStack(key, stack);
+
+  if (stack.entries.size === 0) {
+    headStacks.delete(key);
+  }
+};
+
+const useHeadEntryId = () => {
+  const [id] = React.useState(() => ++headEntryId);
+  return id;
+};
+
+export function useDocumentTitle(title, options = {}) {
+  const { template } = options;
+  const id = useHeadEntryId();
+  const value = template ? template.replace("%s", () => title) : title;
+
   React.useEffect(() => {
-    document.title = title;
-  }, [title]);
+    setHeadEntry("title", id, value);
+
+    return () => {
+      removeHeadEntry("title", id);
+    };
+  }, [id, value]);
 }
 
+const faviconStack = {
+  initial: null,
+  created: null,
+  icons: new Map(),
+  badges: new Map(),
+};
+
+const isTouchIconLink = (link) => link.rel.startsWith("apple-touch-icon");
+
+const setLinkHref = (link, href) => {
+  if (href === null) {
+    link.removeAttribute("href");
+  } else {
+    link.setAttribute("href", href);
+  }
+};
+
+const getTopEntry = (entries) => {
+  return entries.size > 0 ? entries.get(Math.max(...entries.keys())) : null;
+};
+
+const applyFavicons = () => {
+  const stack = faviconStack;
+
+  if (stack.icons.size === 0 && stack.badges.size === 0) {
+    stack.initial?.forEach((href, link) => setLinkHref(link, href));
+    stack.created?.remove();
+    stack.initial = null;
+    stack.created = null;
+    return;
+  }
+
+  if (!stack.initial) {
+    const links = Array.from(
+      document.querySelectorAll(
+        `link[rel~="icon"], link[rel="apple-touch-icon"], link[rel="apple-touch-icon-precomposed"]`
+      )
+    );
+
+    if (links.length === 0) {
+      stack.created = document.createElement("link");
+      stack.created.type = "image/x-icon";
+      stack.created.rel = "icon";
+      document.head.appendChild(stack.created);
+      links.push(stack.created);
+    }
+
+    stack.initial = new Map(
+      links.map((link) => [link, link.getAttribute("href")])
+    );
+  }
+
+  const icon = getTopEntry(stack.icons);
+  const badge = getTopEntry(stack.badges);
+  let badgeHref = null;
+
+  if (badge) {
+    const firstIcon = Array.from(stack.initial.keys()).find(
+      (link) => !isTouchIconLink(link)
+    );
+    const base = badge.src ?? icon ?? stack.initial.get(firstIcon) ?? null;
+
+    if (badge.cache?.base === base) {
+      badgeHref = badge.cache.href;
+    } else if (badge.pending !== base) {
+      badge.pending = base;
+      badge.render(base).then((href) => {
+        if (badge.pending === base) {
+          badge.pending = null;
+          badge.cache = { base, href };
+          applyFavicons();
+        }
+      });
+    }
+  }
+
+  stack.initial.forEach((initialHref, link) => {
+    const href = icon ?? initialHref;
+    setLinkHref(link, isTouchIconLink(link) ? href : badgeHref ?? href);
+  });
+};
+
 export function useFavicon(url) {
+  const id = useHeadEntryId();
+
   React.useEffect(() => {
-    let link = document.querySelector(`link[rel~="icon"]`);
-
-    if (!link) {
-      link = document.createElement("link");
-      link.type = "image/x-icon";
-      link.rel = "icon";
-      link.href = url;
-      document.head.appendChild(link);
-    } else {
-      link.href = url;
+    faviconStack.icons.set(id, url);
+    applyFavicons();
+  }, [id, url]);
+
+  React.useEffect(() => {
+    return () => {
+      faviconStack.icons.delete(id);
+      applyFavicons();
+    };
+  }, [id]);
+}
+
+const drawFaviconBadge = (context, image, label, options) => {
+  const { size, color, textColor } = options;
+  const radius = label ? size * 0.3 : size * 0.2;
+  const x = size - radius;
+  const y = radius;
+
+  context.clearRect(0, 0, size, size);
+
+  if (image) {
+    context.drawImage(image, 0, 0, size, size);
+  }
+
+  context.beginPath();
+  context.arc(x, y, radius, 0, 2 * Math.PI);
+  context.fillStyle = color;
+  context.fill();
+
+  if (label) {
+    context.fillStyle = textColor;
+    context.font = `bold ${Math.round(
+      radius * (label.length > 2 ? 1 : 1.4)
+    )}px sans-serif`;
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.fillText(label, x, y + 1);
+  }
+};
+
+const renderFaviconBadge = (base, label, options) => {
+  const { size } = options;
+  const canvas = document.createElement("canvas");
+  const context = canvas.getContext("2d");
+
+  canvas.width = size;
+  canvas.height = size;
+
+  const toDataURL = (image) => {
+    drawFaviconBadge(context, image, label, options);
+
+    try {
+      return canvas.toDataURL("image/png");
+    } catch (e) {
+      return image ? toDataURL(null) : null;
+    }
+  };
+
+  return new Promise((resolve) => {
+    if (!base) {
+      resolve(toDataURL(null));
+      return;
+    }
+
+    const image = new Image();
+    image.crossOrigin = "anonymous";
+    image.onload = () => resolve(toDataURL(image));
+    image.onerror = () => resolve(toDataURL(null));
+    image.src = base;
+  });
+};
+
+export function useFaviconBadge(count, options = {}) {
+  const {
+    src,
+    dot = false,
+    max = 99,
+    size = 32,
+    color = "#ff3b30",
+    textColor = "#ffffff",
+  } = options;
+  const id = useHeadEntryId();
+  const isDot = dot || typeof count === "boolean";
+  const showBadge = isDot ? Boolean(count) : count > 0;
+  const label = isDot ? "" : count > max ? `${max}+` : String(count);
+
+  React.useEffect(() => {
+    if (!showBadge || !document.createElement("canvas").getContext?.("2d")) {
+      return;
+    }
+
+    const badge = {
+      src,
+      cache: null,
+      pending: null,
+      render: (base) =>
+        renderFaviconBadge(base, label, { size, color, textColor }),
+    };
+
+    faviconStack.badges.set(id, badge);
+    applyFavicons();
+
+    return () => {
+      badge.pending = null;
+      faviconStack.badges.delete(id);
+      applyFavicons();
+    };
+  }, [id, showBadge, label, src, size, color, textColor]);
+}
+
+const matchesFocusVisible = (node) => {
+  try {
+    return node.matches(":focus-visible");
+  } catch (e) {
+    return true;
+  }
+};
+
+export function useFocusVisible() {
+  const [focusVisible, setFocusVisible] = React.useState(false);
+  const previousNode = React.useRef(null);
+
+  const handleFocus = React.useCallback((event) => {
+    setFocusVisible(matchesFocusVisible(event.currentTarget));
+  }, []);
+
+  const handleBlur = React.useCallback(() => {
+    setFocusVisible(false);
+  }, []);
+
+  const customRef = React.useCallback(
+    (node) => {
+      if (previousNode.current?.nodeType === Node.ELEMENT_NODE) {
+        previousNode.current.removeEventListener("focus", handleFocus);
+        previousNode.current.removeEventListener("blur", handleBlur);
+      }
+
+      if (node?.nodeType === Node.ELEMENT_NODE) {
+        node.addEventListener("focus", handleFocus);
+        node.addEventListener("blur", handleBlur);
+      }
+
+      previousNode.current = node;
+    },
+    [handleFocus, handleBlur]
+  );
+
+  return [customRef, focusVisible];
+}
+
+export function useFocusWithin() {
+  const [focusWithin, setFocusWithin] = React.useState(false);
+  const previousNode = React.useRef(null);
+
+  const handleFocusIn = React.useCallback(() => {
+    setFocusWithin(true);
+  }, []);
+
+  const handleFocusOut = React.useCallback((event) => {
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+      setFocusWithin(false);
     }
-  }, [url]);
+  }, []);
+
+  const customRef = React.useCallback(
+    (node) => {
+      if (previousNode.current?.nodeType === Node.ELEMENT_NODE) {
+        previousNode.current.removeEventListener("focusin", handleFocusIn);
+        previousNode.current.removeEventListener("focusout", handleFocusOut);
+      }
+
+      if (node?.nodeType === Node.ELEMENT_NODE) {
+        node.addEventListener("focusin", handleFocusIn);
+        node.addEventListener("focusout", handleFocusOut);
+        setFocusWithin(node.contains(document.activeElement));
+      }
+
+      previousNode.current = node;
+    },
+    [handleFocusIn, handleFocusOut]
+  );
+
+  return [customRef, focusWithin];
 }
 
 export function useGeolocation(options = {}) {
+  const {
+    enabled = true,
+    watch = true,
+    enableHighAccuracy,
+    timeout,
+    maximumAge,
+  } = options;
+
   const [state, setState] = React.useState({
-    loading: true,
+    supported: true,
+    permission: null,
+    loading: enabled,
     accuracy: null,
     altitude: null,
     altitudeAccuracy: null,
@@ -297,103 +1574,427 @@ export function useGeolocation(options = {}) {
     timestamp: null,
     error: null,
   });
+  const requestId = React.useRef(0);
+
+  const onEvent = React.useCallback(({ coords, timestamp }) => {
+    setState((s) => ({
+      ...s,
+      permission: "granted",
+      loading: false,
+      timestamp,
+      latitude: coords.latitude,
+      longitude: coords.longitude,
+      altitude: coords.altitude,
+      accuracy: coords.accuracy,
+      altitudeAccuracy: coords.altitudeAccuracy,
+      heading: coords.heading,
+      speed: coords.speed,
+      error: null,
+    }));
+  }, []);
 
-  const optionsRef = React.useRef(options);
+  const onEventError = React.useCallback((error) => {
+    setState((s) => ({
+      ...s,
+      permission:
+        error.code === error.PERMISSION_DENIED ? "denied" : s.permission,
+      loading: false,
+      error,
+    }));
+  }, []);
 
   React.useEffect(() => {
-    const onEvent = ({ coords, timestamp }) => {
-      setState({
+    if (!navigator.geolocation) {
+      setState((s) => ({
+        ...s,
+        supported: false,
         loading: false,
-        timestamp,
-        latitude: coords.latitude,
-        longitude: coords.longitude,
-        altitude: coords.altitude,
-        accuracy: coords.accuracy,
-        altitudeAccuracy: coords.altitudeAccuracy,
-        heading: coords.heading,
-        speed: coords.speed,
+      }));
+      return;
+    }
+
+    if (!enabled) {
+      setState((s) => (s.loading ? { ...s, loading: false } : s));
+      return;
+    }
+
+    const positionOptions = { enableHighAccuracy, timeout, maximumAge };
+    const id = ++requestId.current;
+
+    const handleEvent = (position) => {
+      if (id === requestId.current) {
+        onEvent(position);
+      }
+    };
+
+    const handleEventError = (error) => {
+      if (id === requestId.current) {
+        onEventError(error);
+      }
+    };
+
+    setState((s) => (s.loading ? s : { ...s, loading: true }));
+
+    if (!watch) {
+      navigator.geolocation.getCurrentPosition(
+        handleEvent,
+        handleEventError,
+        positionOptions
+      );
+
+      return () => {
+        requestId.current++;
+      };
+    }
+
+    const watchId = navigator.geolocation.watchPosition(
+      handleEvent,
+      handleEventError,
+      positionOptions
+    );
+
+    return () => {
+      requestId.current++;
+      navigator.geolocation.clearWatch(watchId);
+    };
+  }, [
+    enabled,
+    watch,
+    enableHighAccuracy,
+    timeout,
+    maximumAge,
+    onEvent,
+    onEventError,
+  ]);
+
+  const permission = usePermission("geolocation");
+
+  const refresh = React.useCallback(() => {
+    if (!navigator.geolocation) {
+      return;
+    }
+
+    const id = requestId.current;
+
+    setState((s) => ({ ...s, loading: true }));
+
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        if (id === requestId.current) {
+          onEvent(position);
+        }
+      },
+      (error) => {
+        if (id === requestId.current) {
+          onEventError(error);
+        }
+      },
+      { enableHighAccuracy, timeout, maximumAge }
+    );
+  }, [enableHighAccuracy, timeout, maximumAge, onEvent, onEventError]);
+
+  return {
+    ...state,
+    permission: permission.state ?? state.permission,
+    refresh,
+  };
+}
+
+export function useHeadMeta(meta) {
+  const id = useHeadEntryId();
+  const serialized = JSON.stringify(meta ?? {});
+
+  React.useEffect(() => {
+    const entries = Object.entries(JSON.parse(serialized)).filter(
+      ([, content]) => content !== null && content !== undefined
+    );
+
+    entries.forEach(([name, content]) => {
+      setHeadEntry(`meta:${name}`, id, String(content));
+    });
+
+    return () => {
+      entries.forEach(([name]) => {
+        removeHeadEntry(`meta:${name}`, id);
       });
     };
+  }, [id, serialized]);
+}
+
+const initialUseHistoryStateState = {
+  past: [],
+  present: null,
+  future: [],
+  group: null,
+  lastSetAt: null,
+  patches: false,
+};
+
+const limitHistory = (past, limit) => {
+  if (typeof limit === "number" && past.length > limit) {
+    return past.slice(past.length - Math.max(limit, 0));
+  }
+
+  return past;
+};
+
+const diffHistoryState = (
+  from,
+  to,
+  path = [],
+  entry = { forward: [], inverse: [] }
+) => {
+  if (from === to) {
+    return entry;
+  }
+
+  if (Array.isArray(from) && Array.isArray(to)) {
+    const shared = Math.min(from.length, to.length);
+
+    for (let i = 0; i < shared; i++) {
+      diffHistoryState(from[i], to[i], [...path, i], entry);
+    }
+
+    for (let i = shared; i < to.length; i++) {
+      entry.forward.push({ op: "add", path: [...path, i], value: to[i] });
+      entry.inverse.unshift({ op: "remove", path: [...path, i] });
+    }
+
+    for (let i = from.length - 1; i >= shared; i--) {
+      entry.forward.push({ op: "remove", path: [...path, i] });
+      entry.inverse.unshift({ op: "add", path: [...path, i], value: from[i] });
+    }
+
+    return entry;
+  }
+
+  if (isPlainObject(from) && isPlainObject(to)) {
+    for (const key of Object.keys(from)) {
+      if (!Object.prototype.hasOwnProperty.call(to, key)) {
+        entry.forward.push({ op: "remove", path: [...path, key] });
+        entry.inverse.unshift({
+          op: "add",
+          path: [...path, key],
+          value: from[key],
+        });
+      } else {
+        diffHistoryState(from[key], to[key], [...path, key], entry);
+      }
+    }
+
+    for (const key of Object.keys(to)) {
+      if (!Object.prototype.hasOwnProperty.call(from, key)) {
+        entry.forward.push({ op: "add", path: [...path, key], value: to[key] });
+        entry.inverse.unshift({ op: "remove", path: [...path, key] });
+      }
+    }
 
-    const onEventError = (error) => {
-      setState((s) => ({
-        ...s,
-        loading: false,
-        error,
-      }));
-    };
+    return entry;
+  }
 
-    navigator.geolocation.getCurrentPosition(
-      onEvent,
-      onEventError,
-      optionsRef.current
-    );
+  entry.forward.push({ op: "replace", path, value: to });
+  entry.inverse.unshift({ op: "replace", path, value: from });
 
-    const watchId = navigator.geolocation.watchPosition(
-      onEvent,
-      onEventError,
-      optionsRef.current
-    );
+  return entry;
+};
 
-    return () => {
-      navigator.geolocation.clearWatch(watchId);
-    };
-  }, []);
+const applyHistoryPatch = (target, { op, path, value }) => {
+  if (path.length === 0) {
+    return value;
+  }
 
-  return state;
-}
+  const [key, ...rest] = path;
+  const copy = Array.isArray(target) ? [...target] : { ...target };
 
-const initialUseHistoryStateState = {
-  past: [],
-  present: null,
-  future: [],
+  if (rest.length > 0) {
+    copy[key] = applyHistoryPatch(target[key], { op, path: rest, value });
+  } else if (op === "remove") {
+    if (Array.isArray(copy)) {
+      copy.splice(key, 1);
+    } else {
+      delete copy[key];
+    }
+  } else if (op === "add" && Array.isArray(copy)) {
+    copy.splice(key, 0, value);
+  } else {
+    copy[key] = value;
+  }
+
+  return copy;
+};
+
+const applyHistoryPatches = (target, patches) => {
+  return patches.reduce(applyHistoryPatch, target);
 };
 
 const useHistoryStateReducer = (state, action) => {
-  const { past, present, future } = state;
+  const { past, present, future, patches } = state;
 
   if (action.type === "UNDO") {
+    const previous = past[past.length - 1];
+
     return {
+      ...state,
       past: past.slice(0, past.length - 1),
-      present: past[past.length - 1],
-      future: [present, ...future],
+      present: patches
+        ? applyHistoryPatches(present, previous.inverse)
+        : previous,
+      future: [patches ? previous : present, ...future],
+      group: state.group && { pushed: false },
+      lastSetAt: null,
     };
   } else if (action.type === "REDO") {
+    const next = future[0];
+
     return {
-      past: [...past, present],
-      present: future[0],
+      ...state,
+      past: limitHistory([...past, patches ? next : present], action.limit),
+      present: patches ? applyHistoryPatches(present, next.forward) : next,
       future: future.slice(1),
+      group: state.group && { pushed: false },
+      lastSetAt: null,
     };
   } else if (action.type === "SET") {
-    const { newPresent } = action;
+    const { newPresent, limit, groupWithin, time } = action;
 
     if (action.newPresent === present) {
       return state;
     }
 
+    const merge =
+      state.group?.pushed ||
+      (typeof groupWithin === "number" &&
+        state.lastSetAt !== null &&
+        time - state.lastSetAt < groupWithin);
+
+    const entry = patches ? diffHistoryState(present, newPresent) : present;
+    let nextPast = past;
+
+    if (!merge) {
+      nextPast = limitHistory([...past, entry], limit);
+    } else if (patches && past.length > 0) {
+      const last = past[past.length - 1];
+
+      nextPast = [
+        ...past.slice(0, past.length - 1),
+        {
+          forward: [...last.forward, ...entry.forward],
+          inverse: [...entry.inverse, ...last.inverse],
+        },
+      ];
+    }
+
     return {
-      past: [...past, present],
+      ...state,
+      past: nextPast,
       present: newPresent,
       future: [],
+      group: state.group && { pushed: true },
+      lastSetAt: time,
+    };
+  } else if (action.type === "JUMP") {
+    const { index } = action;
+
+    if (
+      index < 0 ||
+      index > past.length + future.length ||
+      index === past.length
+    ) {
+      return state;
+    }
+
+    if (patches) {
+      let nextState = state;
+
+      while (nextState.past.length > index) {
+        nextState = useHistoryStateReducer(nextState, { type: "UNDO" });
+      }
+
+      while (nextState.past.length < index) {
+        nextState = useHistoryStateReducer(nextState, { type: "REDO" });
+      }
+
+      return nextState;
+    }
+
+    const timeline = [...past, present, ...future];
+
+    return {
+      ...state,
+      past: timeline.slice(0, index),
+      present: timeline[index],
+      future: timeline.slice(index + 1),
+      group: state.group && { pushed: false },
+      lastSetAt: null,
+    };
+  } else if (action.type === "START_GROUP") {
+    if (state.group) {
+      return state;
+    }
+
+    return { ...state, group: { pushed: false } };
+  } else if (action.type === "END_GROUP") {
+    if (!state.group) {
+      return state;
+    }
+
+    return { ...state, group: null, lastSetAt: null };
+  } else if (action.type === "IMPORT") {
+    const { history } = action;
+
+    return {
+      ...state,
+      past: history.past,
+      present: history.present,
+      future: history.future,
+      group: null,
+      lastSetAt: null,
     };
   } else if (action.type === "CLEAR") {
     return {
       ...initialUseHistoryStateState,
       present: action.initialPresent,
+      patches,
     };
   } else {
     throw new Error("Unsupported action type");
   }
 };
 
-export function useHistoryState(initialPresent = {}) {
+export function useHistoryState(initialPresent = {}, options = {}) {
+  const { limit, groupWithin, patches = false, onChange } = options;
   const initialPresentRef = React.useRef(initialPresent);
+  const onChangeRef = React.useRef(onChange);
 
   const [state, dispatch] = React.useReducer(useHistoryStateReducer, {
     ...initialUseHistoryStateState,
     present: initialPresentRef.current,
+    patches,
+  });
+
+  const lastHistory = React.useRef(state);
+
+  React.useLayoutEffect(() => {
+    onChangeRef.current = onChange;
   });
 
+  React.useEffect(() => {
+    const previous = lastHistory.current;
+    lastHistory.current = state;
+
+    if (
+      previous.past !== state.past ||
+      previous.present !== state.present ||
+      previous.future !== state.future
+    ) {
+      onChangeRef.current?.({
+        past: state.past,
+        present: state.present,
+        future: state.future,
+      });
+    }
+  }, [state]);
+
   const canUndo = state.past.length !== 0;
   const canRedo = state.future.length !== 0;
 
@@ -405,136 +2006,691 @@ export function useHistoryState(initialPresent = {}) {
 
   const redo = React.useCallback(() => {
     if (canRedo) {
-      dispatch({ type: "REDO" });
+      dispatch({ type: "REDO", limit });
     }
-  }, [canRedo]);
+  }, [canRedo, limit]);
 
   const set = React.useCallback(
-    (newPresent) => dispatch({ type: "SET", newPresent }),
+    (newPresent) =>
+      dispatch({
+        type: "SET",
+        newPresent,
+        limit,
+        groupWithin,
+        time: Date.now(),
+      }),
+    [limit, groupWithin]
+  );
+
+  const jumpTo = React.useCallback(
+    (index) => dispatch({ type: "JUMP", index }),
+    []
+  );
+
+  const startGroup = React.useCallback(
+    () => dispatch({ type: "START_GROUP" }),
     []
   );
 
+  const endGroup = React.useCallback(() => dispatch({ type: "END_GROUP" }), []);
+
   const clear = React.useCallback(
     () =>
       dispatch({ type: "CLEAR", initialPresent: initialPresentRef.current }),
     []
   );
 
-  return { state: state.present, set, undo, redo, clear, canUndo, canRedo };
+  const exportHistory = React.useCallback(
+    () => ({
+      past: state.past,
+      present: state.present,
+      future: state.future,
+    }),
+    [state.past, state.present, state.future]
+  );
+
+  const importHistory = React.useCallback((history) => {
+    if (
+      !history ||
+      !Array.isArray(history.past) ||
+      !Array.isArray(history.future)
+    ) {
+      throw new Error(
+        "importHistory expects an object with past, present, and future."
+      );
+    }
+
+    dispatch({ type: "IMPORT", history });
+  }, []);
+
+  return {
+    state: state.present,
+    past: state.past,
+    future: state.future,
+    set,
+    undo,
+    redo,
+    jumpTo,
+    startGroup,
+    endGroup,
+    clear,
+    exportHistory,
+    importHistory,
+    canUndo,
+    canRedo,
+  };
 }
 
-export function useHover() {
+const isAllowedPointerType = (event, pointerTypes) => {
+  return !pointerTypes || pointerTypes.includes(event.pointerType);
+};
+
+export function useHover(options = {}) {
+  const { enterDelay = 0, leaveDelay = 0, pointerTypes } = options;
   const [hovering, setHovering] = React.useState(false);
   const previousNode = React.useRef(null);
+  const timerId = React.useRef(null);
+  const optionsRef = React.useRef({ enterDelay, leaveDelay, pointerTypes });
+
+  React.useLayoutEffect(() => {
+    optionsRef.current = { enterDelay, leaveDelay, pointerTypes };
+  });
 
-  const handleMouseEnter = React.useCallback(() => {
-    setHovering(true);
+  React.useEffect(() => {
+    return () => {
+      window.clearTimeout(timerId.current);
+    };
   }, []);
 
-  const handleMouseLeave = React.useCallback(() => {
-    setHovering(false);
+  const scheduleHovering = React.useCallback((value, delay) => {
+    window.clearTimeout(timerId.current);
+
+    if (delay > 0) {
+      timerId.current = window.setTimeout(() => setHovering(value), delay);
+    } else {
+      setHovering(value);
+    }
   }, []);
 
+  const handlePointerEnter = React.useCallback(
+    (event) => {
+      if (!isAllowedPointerType(event, optionsRef.current.pointerTypes)) return;
+      scheduleHovering(true, optionsRef.current.enterDelay);
+    },
+    [scheduleHovering]
+  );
+
+  const handlePointerLeave = React.useCallback(
+    (event) => {
+      if (!isAllowedPointerType(event, optionsRef.current.pointerTypes)) return;
+      scheduleHovering(false, optionsRef.current.leaveDelay);
+    },
+    [scheduleHovering]
+  );
+
   const customRef = React.useCallback(
     (node) => {
       if (previousNode.current?.nodeType === Node.ELEMENT_NODE) {
         previousNode.current.removeEventListener(
-          "mouseenter",
-          handleMouseEnter
+          "pointerenter",
+          handlePointerEnter
         );
         previousNode.current.removeEventListener(
-          "mouseleave",
-          handleMouseLeave
+          "pointerleave",
+          handlePointerLeave
+        );
+      }
+
+      if (node?.nodeType === Node.ELEMENT_NODE) {
+        node.addEventListener("pointerenter", handlePointerEnter);
+        node.addEventListener("pointerleave", handlePointerLeave);
+      }
+
+      previousNode.current = node;
+    },
+    [handlePointerEnter, handlePointerLeave]
+  );
+
+  return [customRef, hovering];
+}
+
+const idleEvents = [
+  "mousemove",
+  "mousedown",
+  "resize",
+  "keydown",
+  "touchstart",
+  "wheel",
+];
+
+const idleChannelName = "usehooks:idle";
+
+export function useIdle(ms = 1000 * 60, options = {}) {
+  return useIdleTimer({ ...options, timeout: ms }).idle;
+}
+
+export function useIdleTimer(options = {}) {
+  const {
+    timeout = 1000 * 60,
+    promptBeforeIdle = 0,
+    events = idleEvents,
+    crossTab = false,
+    onIdle,
+    onActive,
+    onPrompt,
+  } = options;
+  const [state, setState] = React.useState(() => ({
+    idle: false,
+    prompted: false,
+    remaining: timeout,
+  }));
+  const lastActiveRef = React.useRef(null);
+  const callbacksRef = React.useRef({ onIdle, onActive, onPrompt });
+  const resetRef = React.useRef(() => {});
+  const eventList = events.join(" ");
+
+  React.useLayoutEffect(() => {
+    callbacksRef.current = { onIdle, onActive, onPrompt };
+  });
+
+  React.useEffect(() => {
+    let idle = false;
+    let lastActive = Date.now();
+
+    lastActiveRef.current = lastActive;
+    let promptTimeoutId;
+    let idleTimeoutId;
+    let intervalId;
+
+    const getRemaining = () => Math.max(0, lastActive + timeout - Date.now());
+
+    const clearTimers = () => {
+      window.clearTimeout(promptTimeoutId);
+      window.clearTimeout(idleTimeoutId);
+      window.clearInterval(intervalId);
+    };
+
+    const handlePrompt = () => {
+      setState((s) => ({ ...s, prompted: true, remaining: getRemaining() }));
+      intervalId = window.setInterval(() => {
+        setState((s) => ({ ...s, remaining: getRemaining() }));
+      }, 1000);
+      callbacksRef.current.onPrompt?.();
+    };
+
+    const handleIdle = () => {
+      clearTimers();
+      idle = true;
+      setState((s) => ({ ...s, idle: true, prompted: false, remaining: 0 }));
+      callbacksRef.current.onIdle?.();
+    };
+
+    const schedule = () => {
+      clearTimers();
+
+      const remaining = getRemaining();
+
+      if (promptBeforeIdle > 0 && promptBeforeIdle < timeout) {
+        promptTimeoutId = window.setTimeout(
+          handlePrompt,
+          Math.max(0, remaining - promptBeforeIdle)
         );
       }
 
-      if (node?.nodeType === Node.ELEMENT_NODE) {
-        node.addEventListener("mouseenter", handleMouseEnter);
-        node.addEventListener("mouseleave", handleMouseLeave);
-      }
+      idleTimeoutId = window.setTimeout(handleIdle, remaining);
+    };
+
+    const markActive = (time) => {
+      const wasIdle = idle;
+
+      idle = false;
+      lastActive = Math.max(lastActive, time);
+      lastActiveRef.current = lastActive;
+      setState((s) =>
+        s.idle || s.prompted
+          ? { idle: false, prompted: false, remaining: timeout }
+          : s
+      );
+      schedule();
+
+      if (wasIdle) {
+        callbacksRef.current.onActive?.();
+      }
+    };
+
+    const reset = () => {
+      const time = Date.now();
+
+      markActive(time);
+
+      if (crossTab) {
+        postBroadcastStateMessage(idleChannelName, {
+          id: broadcastStateTabId,
+          time,
+          value: null,
+        });
+      }
+    };
+
+    const handleEvent = throttle(reset, 500);
+
+    const handleVisibilityChange = () => {
+      if (!document.hidden) {
+        handleEvent();
+      }
+    };
+
+    const eventNames = eventList.split(" ");
+
+    resetRef.current = reset;
+    schedule();
+
+    eventNames.forEach((name) => window.addEventListener(name, handleEvent));
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+
+    const unsubscribe = crossTab
+      ? subscribeBroadcastState(idleChannelName, () => {
+          const message = getBroadcastStateChannel(idleChannelName).latest;
+
+          if (message && message.id !== broadcastStateTabId) {
+            markActive(message.time);
+          }
+        })
+      : () => {};
+
+    return () => {
+      eventNames.forEach((name) =>
+        window.removeEventListener(name, handleEvent)
+      );
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      unsubscribe();
+      handleEvent.cancel();
+      clearTimers();
+    };
+  }, [timeout, promptBeforeIdle, eventList, crossTab]);
+
+  const reset = React.useCallback(() => {
+    resetRef.current();
+  }, []);
+
+  const getLastActive = React.useCallback(() => {
+    return lastActiveRef.current ?? Date.now();
+  }, []);
+
+  return { ...state, getLastActive, reset };
+}
+
+const indexedDBDatabases = new Map();
+const indexedDBListeners = new Set();
+let indexedDBChannel = null;
+
+const requestToPromise = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const openIndexedDB = (dbName, storeName, version) => {
+  return new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(dbName, version);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+
+      if (!db.objectStoreNames.contains(storeName)) {
+        db.createObjectStore(storeName);
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+
+      if (db.objectStoreNames.contains(storeName)) {
+        db.onversionchange = () => {
+          db.close();
+          indexedDBDatabases.delete(dbName);
+        };
+
+        resolve(db);
+      } else {
+        db.close();
+        openIndexedDB(dbName, storeName, db.version + 1).then(resolve, reject);
+      }
+    };
+
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const getIndexedDB = (dbName, storeName) => {
+  const previous = indexedDBDatabases.get(dbName) ?? Promise.resolve(null);
+
+  const next = previous
+    .catch(() => null)
+    .then((db) => {
+      if (db?.objectStoreNames.contains(storeName)) {
+        return db;
+      }
+
+      db?.close();
+      return openIndexedDB(dbName, storeName);
+    });
+
+  indexedDBDatabases.set(dbName, next);
+  return next;
+};
+
+const readIndexedDBValue = async (dbName, storeName, key) => {
+  const db = await getIndexedDB(dbName, storeName);
+
+  return requestToPromise(
+    db.transaction(storeName, "readonly").objectStore(storeName).get(key)
+  );
+};
+
+const writeIndexedDBValue = async (dbName, storeName, key, value) => {
+  const db = await getIndexedDB(dbName, storeName);
+  const transaction = db.transaction(storeName, "readwrite");
+  const store = transaction.objectStore(storeName);
+
+  if (value === undefined || value === null) {
+    store.delete(key);
+  } else {
+    store.put(value, key);
+  }
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const isSameIndexedDBKey = (a, b) => {
+  try {
+    return window.indexedDB.cmp(a, b) === 0;
+  } catch (e) {
+    return a === b;
+  }
+};
+
+const notifyIndexedDBListeners = (message) => {
+  indexedDBListeners.forEach((listener) => listener(message));
+};
+
+const subscribeIndexedDB = (listener) => {
+  if (
+    indexedDBListeners.size === 0 &&
+    typeof BroadcastChannel !== "undefined"
+  ) {
+    indexedDBChannel = new BroadcastChannel("usehooks:indexeddb");
+    indexedDBChannel.onmessage = (e) => notifyIndexedDBListeners(e.data);
+  }
+
+  indexedDBListeners.add(listener);
+
+  return () => {
+    indexedDBListeners.delete(listener);
+
+    if (indexedDBListeners.size === 0 && indexedDBChannel) {
+      indexedDBChannel.close();
+      indexedDBChannel = null;
+    }
+  };
+};
+
+const publishIndexedDBChange = (message) => {
+  notifyIndexedDBListeners(message);
+
+  if (indexedDBChannel) {
+    indexedDBChannel.postMessage(message);
+  } else if (typeof BroadcastChannel !== "undefined") {
+    const channel = new BroadcastChannel("usehooks:indexeddb");
+    channel.postMessage(message);
+    channel.close();
+  }
+};
+
+export function useIndexedDB(key, initialValue, options = {}) {
+  const { dbName = "usehooks", storeName = "keyval" } = options;
+  const initialValueRef = React.useRef(initialValue);
+  const keyRef = React.useRef(key);
+
+  if (!isSameIndexedDBKey(keyRef.current, key)) {
+    keyRef.current = key;
+  }
+
+  const stableKey = keyRef.current;
+
+  const [state, setState] = React.useState({
+    value: initialValue,
+    loading: true,
+    error: null,
+  });
+
+  React.useEffect(() => {
+    let ignore = false;
+    let latestRead = 0;
+
+    const load = () => {
+      const read = ++latestRead;
+
+      readIndexedDBValue(dbName, storeName, stableKey).then(
+        (value) => {
+          if (!ignore && read === latestRead) {
+            setState({
+              value: value === undefined ? initialValueRef.current : value,
+              loading: false,
+              error: null,
+            });
+          }
+        },
+        (error) => {
+          if (!ignore && read === latestRead) {
+            setState((s) => ({ ...s, loading: false, error }));
+          }
+        }
+      );
+    };
+
+    const handleChange = (message) => {
+      if (
+        message.dbName === dbName &&
+        message.storeName === storeName &&
+        isSameIndexedDBKey(message.key, stableKey)
+      ) {
+        load();
+      }
+    };
+
+    setState((s) => (s.loading ? s : { ...s, loading: true }));
+    load();
+
+    const unsubscribe = subscribeIndexedDB(handleChange);
+
+    return () => {
+      ignore = true;
+      unsubscribe();
+    };
+  }, [stableKey, dbName, storeName]);
+
+  const setValue = React.useCallback(
+    (v) => {
+      const nextValue = typeof v === "function" ? v(state.value) : v;
 
-      previousNode.current = node;
+      setState((s) => ({
+        ...s,
+        value:
+          nextValue === undefined || nextValue === null
+            ? initialValueRef.current
+            : nextValue,
+        error: null,
+      }));
+
+      writeIndexedDBValue(dbName, storeName, stableKey, nextValue).then(
+        () => publishIndexedDBChange({ dbName, storeName, key: stableKey }),
+        (error) => setState((s) => ({ ...s, error }))
+      );
     },
-    [handleMouseEnter, handleMouseLeave]
+    [stableKey, dbName, storeName, state.value]
   );
 
-  return [customRef, hovering];
+  return [
+    state.value,
+    setValue,
+    { loading: state.loading, error: state.error },
+  ];
 }
 
-export function useIdle(ms = 1000 * 60) {
-  const [idle, setIdle] = React.useState(false);
+const intersectionObserverPools = new Map();
 
-  React.useEffect(() => {
-    let timeoutId;
+const getIntersectionObserverPool = (root, rootMargin, threshold) => {
+  const thresholds = [].concat(threshold);
+  const key = `${rootMargin}|${thresholds.join(",")}`;
+  let pools = intersectionObserverPools.get(root);
 
-    const handleTimeout = () => {
-      setIdle(true);
-    };
+  if (!pools) {
+    pools = new Map();
+    intersectionObserverPools.set(root, pools);
+  }
 
-    const handleEvent = throttle((e) => {
-      setIdle(false);
+  let pool = pools.get(key);
+
+  if (!pool) {
+    const callbacks = new Map();
+    const lastEntries = new Map();
+    const observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          lastEntries.set(entry.target, entry);
+          callbacks.get(entry.target)?.forEach((callback) => callback(entry));
+        });
+      },
+      { root, rootMargin, threshold: thresholds }
+    );
 
-      window.clearTimeout(timeoutId);
-      timeoutId = window.setTimeout(handleTimeout, ms);
-    }, 500);
+    pool = { key, observer, callbacks, lastEntries };
+    pools.set(key, pool);
+  }
 
-    const handleVisibilityChange = () => {
-      if (!document.hidden) {
-        handleEvent();
+  return pool;
+};
+
+const observeIntersection = (node, options, callback) => {
+  const { root, rootMargin, threshold } = options;
+  const pool = getIntersectionObserverPool(root, rootMargin, threshold);
+  let callbacks = pool.callbacks.get(node);
+
+  if (!callbacks) {
+    callbacks = new Set();
+    pool.callbacks.set(node, callbacks);
+    pool.observer.observe(node);
+  }
+
+  callbacks.add(callback);
+
+  let observing = true;
+
+  if (pool.lastEntries.has(node)) {
+    queueMicrotask(() => {
+      if (observing) {
+        callback(pool.lastEntries.get(node));
       }
-    };
+    });
+  }
 
-    timeoutId = window.setTimeout(handleTimeout, ms);
+  return () => {
+    if (!observing) return;
 
-    window.addEventListener("mousemove", handleEvent);
-    window.addEventListener("mousedown", handleEvent);
-    window.addEventListener("resize", handleEvent);
-    window.addEventListener("keydown", handleEvent);
-    window.addEventListener("touchstart", handleEvent);
-    window.addEventListener("wheel", handleEvent);
-    document.addEventListener("visibilitychange", handleVisibilityChange);
+    observing = false;
+    callbacks.delete(callback);
 
-    return () => {
-      window.removeEventListener("mousemove", handleEvent);
-      window.removeEventListener("mousedown", handleEvent);
-      window.removeEventListener("resize", handleEvent);
-      window.removeEventListener("keydown", handleEvent);
-      window.removeEventListener("touchstart", handleEvent);
-      window.removeEventListener("wheel", handleEvent);
-      document.removeEventListener("visibilitychange", handleVisibilityChange);
-      window.clearTimeout(timeoutId);
-    };
-  }, [ms]);
+    if (callbacks.size === 0) {
+      pool.callbacks.delete(node);
+      pool.lastEntries.delete(node);
+      pool.observer.unobserve(node);
+    }
 
-  return idle;
-}
+    if (pool.callbacks.size === 0) {
+      pool.observer.disconnect();
+
+      const pools = intersectionObserverPools.get(root);
+      pools.delete(pool.key);
+
+      if (pools.size === 0) {
+        intersectionObserverPools.delete(root);
+      }
+    }
+  };
+};
 
 export function useIntersectionObserver(options = {}) {
-  const { threshold = 1, root = null, rootMargin = "0px" } = options;
+  const {
+    threshold = 1,
+    root = null,
+    rootMargin = "0px",
+    freezeOnceVisible = false,
+    triggerOnce = false,
+    enabled = true,
+    onChange,
+  } = options;
   const [entry, setEntry] = React.useState(null);
+  const onChangeRef = React.useRef(onChange);
+  const unobserveRef = React.useRef(null);
+  const frozenNode = React.useRef(null);
+  const frozenEnabled = React.useRef(enabled);
+  const thresholdKey = [].concat(threshold).join(",");
+  const freeze = freezeOnceVisible || triggerOnce;
 
-  const previousObserver = React.useRef(null);
+  React.useLayoutEffect(() => {
+    onChangeRef.current = onChange;
+  });
 
   const customRef = React.useCallback(
     (node) => {
-      if (previousObserver.current) {
-        previousObserver.current.disconnect();
-        previousObserver.current = null;
+      if (unobserveRef.current) {
+        unobserveRef.current();
+        unobserveRef.current = null;
       }
 
+      if (frozenEnabled.current !== enabled) {
+        frozenEnabled.current = enabled;
+        frozenNode.current = null;
+      }
+
+      if (!enabled || (node && node === frozenNode.current)) return;
+
       if (node?.nodeType === Node.ELEMENT_NODE) {
-        const observer = new IntersectionObserver(
-          ([entry]) => {
-            setEntry(entry);
+        const unobserve = observeIntersection(
+          node,
+          {
+            root,
+            rootMargin,
+            threshold: thresholdKey.split(",").map(Number),
           },
-          { threshold, root, rootMargin }
+          (entry) => {
+            if (onChangeRef.current) {
+              onChangeRef.current(entry);
+            } else {
+              setEntry(entry);
+            }
+
+            if (freeze && entry.isIntersecting) {
+              frozenNode.current = node;
+              unobserve();
+
+              if (unobserveRef.current === unobserve) {
+                unobserveRef.current = null;
+              }
+            }
+          }
         );
 
-        observer.observe(node);
-        previousObserver.current = observer;
+        unobserveRef.current = unobserve;
       }
     },
-    [threshold, root, rootMargin]
+    [thresholdKey, root, rootMargin, freeze, enabled]
   );
 
   return [customRef, entry];
@@ -589,66 +2745,8 @@ export function useList(defaultList = []) {
   return [list, { set, push, removeAt, insertAt, updateAt, clear }];
 }
 
-const setLocalStorageItem = (key, value) => {
-  const stringifiedValue = JSON.stringify(value);
-  window.localStorage.setItem(key, stringifiedValue);
-  dispatchStorageEvent(key, stringifiedValue);
-};
-
-const removeLocalStorageItem = (key) => {
-  window.localStorage.removeItem(key);
-  dispatchStorageEvent(key, null);
-};
-
-const getLocalStorageItem = (key) => {
-  return window.localStorage.getItem(key);
-};
-
-const useLocalStorageSubscribe = (callback) => {
-  window.addEventListener("storage", callback);
-  return () => window.removeEventListener("storage", callback);
-};
-
-const getLocalStorageServerSnapshot = () => {
-  throw Error("useLocalStorage is a client-only hook");
-};
-
-export function useLocalStorage(key, initialValue) {
-  const getSnapshot = () => getLocalStorageItem(key);
-
-  const store = React.useSyncExternalStore(
-    useLocalStorageSubscribe,
-    getSnapshot,
-    getLocalStorageServerSnapshot
-  );
-
-  const setState = React.useCallback(
-    (v) => {
-      try {
-        const nextState = typeof v === "function" ? v(JSON.parse(store)) : v;
-
-        if (nextState === undefined || nextState === null) {
-          removeLocalStorageItem(key);
-        } else {
-          setLocalStorageItem(key, nextState);
-        }
-      } catch (e) {
-        console.warn(e);
-      }
-    },
-    [key, store]
-  );
-
-  React.useEffect(() => {
-    if (
-      getLocalStorageItem(key) === null &&
-      typeof initialValue !== "undefined"
-    ) {
-      setLocalStorageItem(key, initialValue);
-    }
-  }, [key, initialValue]);
-
-  return [store ? JSON.parse(store) : initialValue, setState];
+export function useLocalStorage(key, initialValue, options) {
+  return useWebStorage("localStorage", key, initialValue, options);
 }
 
 export function useLockBodyScroll() {
@@ -662,33 +2760,68 @@ export function useLockBodyScroll() {
 }
 
 export function useLongPress(callback, options = {}) {
-  const { threshold = 400, onStart, onFinish, onCancel } = options;
+  const {
+    threshold = 400,
+    moveThreshold = 10,
+    preventContextMenu = false,
+    keyboard = true,
+    onStart,
+    onFinish,
+    onCancel,
+  } = options;
+  const [progress, setProgress] = React.useState(0);
   const isLongPressActive = React.useRef(false);
   const isPressed = React.useRef(false);
+  const startPoint = React.useRef(null);
   const timerId = React.useRef();
+  const frameId = React.useRef();
 
-  return React.useMemo(() => {
+  React.useEffect(() => {
+    return () => {
+      window.clearTimeout(timerId.current);
+      window.cancelAnimationFrame(frameId.current);
+    };
+  }, []);
+
+  const handlers = React.useMemo(() => {
     if (typeof callback !== "function") {
       return {};
     }
 
+    const isLongPressKey = (event) =>
+      keyboard && (event.key === " " || event.key === "Enter");
+
+    const trackProgress = (startTime) => {
+      frameId.current = window.requestAnimationFrame(() => {
+        const value = Math.min(1, (Date.now() - startTime) / threshold);
+        setProgress(value);
+
+        if (value < 1 && isPressed.current) {
+          trackProgress(startTime);
+        }
+      });
+    };
+
     const start = (event) => {
-      if (!isMouseEvent(event) && !isTouchEvent(event)) return;
+      if (isPressed.current) return;
 
       if (onStart) {
         onStart(event);
       }
 
       isPressed.current = true;
-      timerId.current = setTimeout(() => {
+      startPoint.current =
+        "clientX" in event ? { x: event.clientX, y: event.clientY } : null;
+
+      timerId.current = window.setTimeout(() => {
         callback(event);
         isLongPressActive.current = true;
       }, threshold);
+
+      trackProgress(Date.now());
     };
 
     const cancel = (event) => {
-      if (!isMouseEvent(event) && !isTouchEvent(event)) return;
-
       if (isLongPressActive.current) {
         if (onFinish) {
           onFinish(event);
@@ -701,28 +2834,82 @@ export function useLongPress(callback, options = {}) {
 
       isLongPressActive.current = false;
       isPressed.current = false;
+      startPoint.current = null;
 
       if (timerId.current) {
         window.clearTimeout(timerId.current);
       }
+
+      window.cancelAnimationFrame(frameId.current);
+      setProgress(0);
+    };
+
+    const handlePointerDown = (event) => {
+      if (event.button !== 0) return;
+      start(event);
+    };
+
+    const handlePointerMove = (event) => {
+      if (!startPoint.current || isLongPressActive.current) return;
+
+      const distance = Math.hypot(
+        event.clientX - startPoint.current.x,
+        event.clientY - startPoint.current.y
+      );
+
+      if (distance > moveThreshold) {
+        cancel(event);
+      }
+    };
+
+    const handleTouchCancel = (event) => {
+      if (!isTouchEvent(event)) return;
+      cancel(event);
+    };
+
+    const handleKeyDown = (event) => {
+      if (!isLongPressKey(event) || event.repeat) return;
+      start(event);
     };
 
-    const mouseHandlers = {
-      onMouseDown: start,
-      onMouseUp: cancel,
-      onMouseLeave: cancel,
+    const handleKeyUp = (event) => {
+      if (!isLongPressKey(event)) return;
+      cancel(event);
     };
 
-    const touchHandlers = {
-      onTouchStart: start,
-      onTouchEnd: cancel,
+    const handleContextMenu = (event) => {
+      if (isPressed.current || isLongPressActive.current) {
+        event.preventDefault();
+      }
     };
 
     return {
-      ...mouseHandlers,
-      ...touchHandlers,
+      onPointerDown: handlePointerDown,
+      onPointerMove: handlePointerMove,
+      onPointerUp: cancel,
+      onPointerLeave: cancel,
+      onPointerCancel: cancel,
+      onTouchCancel: handleTouchCancel,
+      onKeyDown: handleKeyDown,
+      onKeyUp: handleKeyUp,
+      ...(preventContextMenu && { onContextMenu: handleContextMenu }),
     };
-  }, [callback, threshold, onCancel, onFinish, onStart]);
+  }, [
+    callback,
+    threshold,
+    moveThreshold,
+    preventContextMenu,
+    keyboard,
+    onCancel,
+    onFinish,
+    onStart,
+  ]);
+
+  return React.useMemo(
+    () =>
+      Object.defineProperty({ ...handlers }, "progress", { value: progress }),
+    [handlers, progress]
+  );
 }
 
 export function useMap(initialState) {
@@ -750,39 +2937,141 @@ export function useMap(initialState) {
   return mapRef.current;
 }
 
-export function useMeasure() {
+const resizeObserverCallbacks = new Map();
+const resizeObserverEntries = new Map();
+let resizeObserver = null;
+
+const resizeObserverBoxKeys = {
+  "content-box": "contentBoxSize",
+  "border-box": "borderBoxSize",
+  "device-pixel-content-box": "devicePixelContentBoxSize",
+};
+
+const observeResize = (node, box, callback) => {
+  if (!resizeObserver) {
+    resizeObserver = new ResizeObserver((entries) => {
+      entries.forEach((entry) => {
+        resizeObserverEntries.set(entry.target, entry);
+        resizeObserverCallbacks
+          .get(entry.target)
+          ?.forEach((callback) => callback(entry));
+      });
+    });
+  }
+
+  let callbacks = resizeObserverCallbacks.get(node);
+
+  if (!callbacks) {
+    callbacks = new Set();
+    resizeObserverCallbacks.set(node, callbacks);
+
+    try {
+      resizeObserver.observe(node, { box });
+    } catch (e) {
+      resizeObserver.observe(node);
+    }
+  }
+
+  callbacks.add(callback);
+
+  let observing = true;
+
+  if (resizeObserverEntries.has(node)) {
+    queueMicrotask(() => {
+      if (observing) {
+        callback(resizeObserverEntries.get(node));
+      }
+    });
+  }
+
+  return () => {
+    if (!observing) return;
+
+    observing = false;
+    callbacks.delete(callback);
+
+    if (callbacks.size === 0) {
+      resizeObserverCallbacks.delete(node);
+      resizeObserverEntries.delete(node);
+      resizeObserver.unobserve(node);
+    }
+
+    if (resizeObserverCallbacks.size === 0) {
+      resizeObserver.disconnect();
+      resizeObserver = null;
+    }
+  };
+};
+
+const getResizeEntrySize = (entry, box) => {
+  const boxSize = entry[resizeObserverBoxKeys[box]];
+  const size = Array.isArray(boxSize) ? boxSize[0] : boxSize;
+
+  if (size) {
+    return { width: size.inlineSize, height: size.blockSize };
+  }
+
+  return { width: entry.contentRect.width, height: entry.contentRect.height };
+};
+
+export function useMeasure(options = {}) {
+  const {
+    box = "border-box",
+    bounds = false,
+    raf = false,
+    debounce: debounceWait,
+  } = options;
   const [dimensions, setDimensions] = React.useState({
     width: null,
     height: null,
   });
 
-  const previousObserver = React.useRef(null);
+  const unobserveRef = React.useRef(null);
 
-  const customRef = React.useCallback((node) => {
-    if (previousObserver.current) {
-      previousObserver.current.disconnect();
-      previousObserver.current = null;
-    }
+  const customRef = React.useCallback(
+    (node) => {
+      if (unobserveRef.current) {
+        unobserveRef.current();
+        unobserveRef.current = null;
+      }
 
-    if (node?.nodeType === Node.ELEMENT_NODE) {
-      const observer = new ResizeObserver(([entry]) => {
-        if (entry && entry.borderBoxSize) {
-          const { inlineSize: width, blockSize: height } =
-            entry.borderBoxSize[0];
+      if (node?.nodeType === Node.ELEMENT_NODE) {
+        const measure = (entry) => {
+          const size = getResizeEntrySize(entry, box);
 
-          setDimensions({ width, height });
-        }
-      });
+          if (bounds) {
+            const { top, left, right, bottom, x, y } =
+              entry.target.getBoundingClientRect();
 
-      observer.observe(node);
-      previousObserver.current = observer;
-    }
-  }, []);
+            setDimensions({ ...size, top, left, right, bottom, x, y });
+          } else {
+            setDimensions(size);
+          }
+        };
+
+        const update = debounceWait
+          ? debounce(measure, debounceWait)
+          : raf
+          ? throttle(measure, 0, { raf: true, leading: false })
+          : measure;
+
+        const unobserve = observeResize(node, box, update);
+
+        unobserveRef.current = () => {
+          unobserve();
+          update.cancel?.();
+        };
+      }
+    },
+    [box, bounds, raf, debounceWait]
+  );
 
   return [customRef, dimensions];
 }
 
-export function useMediaQuery(query) {
+export function useMediaQuery(query, options = {}) {
+  const { serverValue = false } = options;
+
   const subscribe = React.useCallback(
     (callback) => {
       const matchMedia = window.matchMedia(query);
@@ -799,13 +3088,63 @@ export function useMediaQuery(query) {
     return window.matchMedia(query).matches;
   };
 
-  const getServerSnapshot = () => {
-    throw Error("useMediaQuery is a client-only hook");
-  };
+  const getServerSnapshot = () => serverValue;
 
   return React.useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
 }
 
+const mouseListeners = new Set();
+let mousePointer = null;
+let mouseFrameId = null;
+
+const notifyMouseListeners = () => {
+  mouseFrameId = null;
+  mouseListeners.forEach((listener) => listener(mousePointer));
+};
+
+const scheduleMouseUpdate = () => {
+  if (mousePointer && mouseFrameId === null) {
+    mouseFrameId = window.requestAnimationFrame(notifyMouseListeners);
+  }
+};
+
+const handleDocumentPointer = (event) => {
+  mousePointer = {
+    clientX: event.clientX,
+    clientY: event.clientY,
+    pointerType: event.pointerType,
+    pressure: event.pressure,
+  };
+  scheduleMouseUpdate();
+};
+
+const subscribeMouse = (listener) => {
+  if (mouseListeners.size === 0) {
+    document.addEventListener("pointermove", handleDocumentPointer);
+    document.addEventListener("pointerdown", handleDocumentPointer);
+    window.addEventListener("scroll", scheduleMouseUpdate, {
+      capture: true,
+      passive: true,
+    });
+  }
+
+  mouseListeners.add(listener);
+
+  return () => {
+    mouseListeners.delete(listener);
+
+    if (mouseListeners.size === 0) {
+      document.removeEventListener("pointermove", handleDocumentPointer);
+      document.removeEventListener("pointerdown", handleDocumentPointer);
+      window.removeEventListener("scroll", scheduleMouseUpdate, {
+        capture: true,
+      });
+      window.cancelAnimationFrame(mouseFrameId);
+      mouseFrameId = null;
+    }
+  };
+};
+
 export function useMouse() {
   const [state, setState] = React.useState({
     x: 0,
@@ -814,43 +3153,46 @@ export function useMouse() {
     elementY: 0,
     elementPositionX: 0,
     elementPositionY: 0,
+    isInside: false,
+    pointerType: null,
+    pressure: 0,
   });
 
   const ref = React.useRef(null);
 
   React.useLayoutEffect(() => {
-    const handleMouseMove = (event) => {
+    const handlePointer = ({ clientX, clientY, pointerType, pressure }) => {
       let newState = {
-        x: event.pageX,
-        y: event.pageY,
+        x: clientX + window.scrollX,
+        y: clientY + window.scrollY,
+        pointerType,
+        pressure,
       };
 
       if (ref.current?.nodeType === Node.ELEMENT_NODE) {
-        const { left, top } = ref.current.getBoundingClientRect();
-        const elementPositionX = left + window.scrollX;
-        const elementPositionY = top + window.scrollY;
-        const elementX = event.pageX - elementPositionX;
-        const elementY = event.pageY - elementPositionY;
+        const { left, top, width, height } =
+          ref.current.getBoundingClientRect();
+        const elementX = clientX - left;
+        const elementY = clientY - top;
 
         newState.elementX = elementX;
         newState.elementY = elementY;
-        newState.elementPositionX = elementPositionX;
-        newState.elementPositionY = elementPositionY;
+        newState.elementPositionX = left + window.scrollX;
+        newState.elementPositionY = top + window.scrollY;
+        newState.isInside =
+          elementX >= 0 &&
+          elementY >= 0 &&
+          elementX <= width &&
+          elementY <= height;
       }
 
       setState((s) => {
-        return {
-          ...s,
-          ...newState,
-        };
+        const nextState = { ...s, ...newState };
+        return isShallowEqual(s, nextState) ? s : nextState;
       });
     };
 
-    document.addEventListener("mousemove", handleMouseMove);
-
-    return () => {
-      document.removeEventListener("mousemove", handleMouseMove);
-    };
+    return subscribeMouse(handlePointer);
   }, []);
 
   return [state, ref];
@@ -884,11 +3226,18 @@ const useNetworkStateSubscribe = (callback) => {
   };
 };
 
-const getNetworkStateServerSnapshot = () => {
-  throw Error("useNetworkState is a client-only hook");
+const networkStateServerSnapshot = {
+  online: true,
+  downlink: null,
+  downlinkMax: null,
+  effectiveType: null,
+  rtt: null,
+  saveData: null,
+  type: null,
 };
 
-export function useNetworkState() {
+export function useNetworkState(options = {}) {
+  const { serverValue = networkStateServerSnapshot } = options;
   const cache = React.useRef({});
 
   const getSnapshot = () => {
@@ -913,10 +3262,12 @@ export function useNetworkState() {
     }
   };
 
+  const getServerSnapshot = () => serverValue;
+
   return React.useSyncExternalStore(
     useNetworkStateSubscribe,
     getSnapshot,
-    getNetworkStateServerSnapshot
+    getServerSnapshot
   );
 }
 
@@ -978,19 +3329,150 @@ export function useOrientation() {
       window.addEventListener("orientationchange", handle_orientationchange);
     }
 
-    return () => {
-      if (window.screen?.orientation) {
-        window.screen.orientation.removeEventListener("change", handleChange);
-      } else {
-        window.removeEventListener(
-          "orientationchange",
-          handle_orientationchange
-        );
-      }
-    };
-  }, []);
+    return () => {
+      if (window.screen?.orientation) {
+        window.screen.orientation.removeEventListener("change", handleChange);
+      } else {
+        window.removeEventListener(
+          "orientationchange",
+          handle_orientationchange
+        );
+      }
+    };
+  }, []);
+
+  return orientation;
+}
+
+const permissionServerSnapshot = { state: null, supported: true };
+const permissionEntries = new Map();
+
+const getPermissionEntry = (name) => {
+  let entry = permissionEntries.get(name);
+
+  if (!entry) {
+    entry = {
+      snapshot: permissionServerSnapshot,
+      status: null,
+      query: null,
+      listeners: new Set(),
+    };
+    permissionEntries.set(name, entry);
+  }
+
+  return entry;
+};
+
+const setPermissionSnapshot = (entry, snapshot) => {
+  if (
+    entry.snapshot.state !== snapshot.state ||
+    entry.snapshot.supported !== snapshot.supported
+  ) {
+    entry.snapshot = snapshot;
+    entry.listeners.forEach((listener) => listener());
+  }
+};
+
+const queryPermission = (name) => {
+  const entry = getPermissionEntry(name);
+
+  if (entry.query) {
+    return entry.query;
+  }
+
+  if (!navigator.permissions?.query) {
+    setPermissionSnapshot(entry, { state: null, supported: false });
+    entry.query = Promise.resolve();
+    return entry.query;
+  }
+
+  entry.query = navigator.permissions.query({ name }).then(
+    (status) => {
+      const handleChange = () => {
+        setPermissionSnapshot(entry, { state: status.state, supported: true });
+      };
+
+      entry.status = status;
+      status.addEventListener("change", handleChange);
+      handleChange();
+    },
+    () => {
+      setPermissionSnapshot(entry, { state: null, supported: false });
+    }
+  );
+
+  return entry.query;
+};
+
+const subscribePermission = (name, callback) => {
+  const entry = getPermissionEntry(name);
+
+  entry.listeners.add(callback);
+  queryPermission(name);
+
+  return () => {
+    entry.listeners.delete(callback);
+  };
+};
+
+const requestPermission = async (name) => {
+  let request = null;
+
+  if (name === "geolocation" && navigator.geolocation) {
+    request = new Promise((resolve) => {
+      navigator.geolocation.getCurrentPosition(resolve, resolve);
+    });
+  } else if (name === "notifications" && window.Notification) {
+    request = Promise.resolve(window.Notification.requestPermission());
+  } else if (
+    (name === "camera" || name === "microphone") &&
+    navigator.mediaDevices?.getUserMedia
+  ) {
+    request = navigator.mediaDevices
+      .getUserMedia(name === "camera" ? { video: true } : { audio: true })
+      .then((stream) => stream.getTracks().forEach((track) => track.stop()));
+  } else if (name === "persistent-storage" && navigator.storage?.persist) {
+    request = navigator.storage.persist();
+  }
+
+  if (!request) {
+    return null;
+  }
+
+  await request.catch(() => {});
+  await queryPermission(name);
+
+  const entry = getPermissionEntry(name);
+
+  if (entry.status) {
+    setPermissionSnapshot(entry, {
+      state: entry.status.state,
+      supported: true,
+    });
+  }
+
+  return entry.snapshot.state;
+};
+
+export function usePermission(name) {
+  const subscribe = React.useCallback(
+    (callback) => subscribePermission(name, callback),
+    [name]
+  );
+
+  const getSnapshot = () => getPermissionEntry(name).snapshot;
+
+  const getServerSnapshot = () => permissionServerSnapshot;
 
-  return orientation;
+  const permission = React.useSyncExternalStore(
+    subscribe,
+    getSnapshot,
+    getServerSnapshot
+  );
+
+  const request = React.useCallback(() => requestPermission(name), [name]);
+
+  return { ...permission, request };
 }
 
 const usePreferredLanguageSubscribe = (cb) => {
@@ -1002,15 +3484,15 @@ const getPreferredLanguageSnapshot = () => {
   return navigator.language;
 };
 
-const getPreferredLanguageServerSnapshot = () => {
-  throw Error("usePreferredLanguage is a client-only hook");
-};
+export function usePreferredLanguage(options = {}) {
+  const { serverValue = "en" } = options;
+
+  const getServerSnapshot = () => serverValue;
 
-export function usePreferredLanguage() {
   return React.useSyncExternalStore(
     usePreferredLanguageSubscribe,
     getPreferredLanguageSnapshot,
-    getPreferredLanguageServerSnapshot
+    getServerSnapshot
   );
 }
 
@@ -1094,122 +3576,343 @@ export function useRenderInfo(name = "Unknown") {
   }
 }
 
-export function useScript(src, options = {}) {
-  const [status, setStatus] = React.useState("loading");
-  const optionsRef = React.useRef(options);
+const externalResources = new Map();
+
+const getExternalResource = (kind, url) => {
+  const key = `${kind}:${url}`;
+  let resource = externalResources.get(key);
+
+  if (!resource) {
+    resource = {
+      kind,
+      url,
+      element: null,
+      status: "loading",
+      refCount: 0,
+      attempts: 0,
+      cleanup: null,
+      listeners: new Set(),
+    };
+    externalResources.set(key, resource);
+  }
 
-  React.useEffect(() => {
-    let script = document.querySelector(`script[src="${src}"]`);
+  return resource;
+};
 
-    const domStatus = script?.getAttribute("data-status");
-    if (domStatus) {
-      setStatus(domStatus);
-      return;
+const subscribeExternalResource = (kind, url, callback) => {
+  const resource = getExternalResource(kind, url);
+
+  resource.listeners.add(callback);
+
+  return () => {
+    resource.listeners.delete(callback);
+  };
+};
+
+const setExternalResourceStatus = (resource, status) => {
+  if (resource.element) {
+    resource.element.setAttribute("data-status", status);
+  }
+
+  if (resource.status !== status) {
+    resource.status = status;
+    resource.listeners.forEach((listener) => listener());
+  }
+};
+
+const findExternalResourceElement = (kind, url) => {
+  return kind === "script"
+    ? document.querySelector(`script[src="${url}"]`)
+    : document.querySelector(`link[rel="stylesheet"][href="${url}"]`);
+};
+
+const createExternalResourceElement = (kind, url, options) => {
+  const { integrity, crossOrigin, nonce, type, defer, media } = options;
+  let element;
+
+  if (kind === "script") {
+    element = document.createElement("script");
+    element.src = url;
+    element.async = !defer;
+
+    if (defer) {
+      element.defer = true;
     }
 
-    if (script === null) {
-      script = document.createElement("script");
-      script.src = src;
-      script.async = true;
-      script.setAttribute("data-status", "loading");
-      document.body.appendChild(script);
+    if (type) {
+      element.type = type;
+    }
+  } else {
+    element = document.createElement("link");
+    element.rel = "stylesheet";
+    element.href = url;
 
-      const handleScriptLoad = () => {
-        script.setAttribute("data-status", "ready");
-        setStatus("ready");
-        removeEventListeners();
-      };
+    if (media) {
+      element.media = media;
+    }
+  }
 
-      const handleScriptError = () => {
-        script.setAttribute("data-status", "error");
-        setStatus("error");
-        removeEventListeners();
-      };
+  if (integrity) {
+    element.integrity = integrity;
+  }
 
-      const removeEventListeners = () => {
-        script.removeEventListener("load", handleScriptLoad);
-        script.removeEventListener("error", handleScriptError);
-      };
+  if (crossOrigin) {
+    element.crossOrigin = crossOrigin;
+  }
 
-      script.addEventListener("load", handleScriptLoad);
-      script.addEventListener("error", handleScriptError);
+  if (nonce) {
+    element.nonce = nonce;
+  }
 
-      const removeOnUnmount = optionsRef.current.removeOnUnmount;
+  element.setAttribute("data-status", "loading");
 
-      return () => {
-        if (removeOnUnmount === true) {
-          script.remove();
-          removeEventListeners();
-        }
-      };
+  if (kind === "script") {
+    document.body.appendChild(element);
+  } else {
+    document.head.appendChild(element);
+  }
+
+  return element;
+};
+
+const watchExternalResource = (resource, options) => {
+  const { timeout, retries = 0 } = options;
+  const { element } = resource;
+  let timeoutId;
+
+  const cleanup = () => {
+    element.removeEventListener("load", handleLoad);
+    element.removeEventListener("error", handleError);
+    window.clearTimeout(timeoutId);
+    resource.cleanup = null;
+  };
+
+  const handleLoad = () => {
+    cleanup();
+    setExternalResourceStatus(resource, "ready");
+  };
+
+  const handleError = () => {
+    cleanup();
+
+    if (resource.attempts < retries) {
+      resource.attempts++;
+      element.remove();
+      loadExternalResource(resource, options);
     } else {
-      setStatus("unknown");
+      setExternalResourceStatus(resource, "error");
     }
-  }, [src]);
+  };
 
-  return status;
-}
+  element.addEventListener("load", handleLoad);
+  element.addEventListener("error", handleError);
 
-const setSessionStorageItem = (key, value) => {
-  const stringifiedValue = JSON.stringify(value);
-  window.sessionStorage.setItem(key, stringifiedValue);
-  dispatchStorageEvent(key, stringifiedValue);
+  if (typeof timeout === "number") {
+    timeoutId = window.setTimeout(handleError, timeout);
+  }
+
+  resource.cleanup = cleanup;
 };
 
-const removeSessionStorageItem = (key) => {
-  window.sessionStorage.removeItem(key);
-  dispatchStorageEvent(key, null);
+const loadExternalResource = (resource, options) => {
+  resource.element = createExternalResourceElement(
+    resource.kind,
+    resource.url,
+    options
+  );
+  setExternalResourceStatus(resource, "loading");
+  watchExternalResource(resource, options);
 };
 
-const getSessionStorageItem = (key) => {
-  return window.sessionStorage.getItem(key);
+const adoptExternalResource = (resource, element, options) => {
+  resource.element = element;
+
+  const domStatus = element.getAttribute("data-status");
+  const loaded =
+    resource.kind === "script"
+      ? document.readyState === "complete"
+      : Boolean(element.sheet);
+
+  if (domStatus && domStatus !== "loading") {
+    setExternalResourceStatus(resource, domStatus);
+  } else if (!domStatus && loaded) {
+    setExternalResourceStatus(resource, "ready");
+  } else {
+    setExternalResourceStatus(resource, "loading");
+    watchExternalResource(resource, options);
+  }
 };
 
-const useSessionStorageSubscribe = (callback) => {
-  window.addEventListener("storage", callback);
-  return () => window.removeEventListener("storage", callback);
+const acquireExternalResource = (kind, url, options) => {
+  const resource = getExternalResource(kind, url);
+
+  resource.refCount++;
+
+  if (!resource.element?.isConnected) {
+    const existing = findExternalResourceElement(kind, url);
+    resource.attempts = 0;
+
+    if (existing) {
+      adoptExternalResource(resource, existing, options);
+    } else {
+      loadExternalResource(resource, options);
+    }
+  }
+
+  return resource;
 };
 
-const getSessionStorageServerSnapshot = () => {
-  throw Error("useSessionStorage is a client-only hook");
+const releaseExternalResource = (resource, removeOnUnmount) => {
+  resource.refCount--;
+
+  if (resource.refCount === 0 && removeOnUnmount && resource.element) {
+    resource.cleanup?.();
+    resource.element.remove();
+    resource.element = null;
+    setExternalResourceStatus(resource, "loading");
+  }
 };
 
-export function useSessionStorage(key, initialValue) {
-  const getSnapshot = () => getSessionStorageItem(key);
+export function useScript(src, options = {}) {
+  const optionsRef = React.useRef(options);
 
-  const store = React.useSyncExternalStore(
-    useSessionStorageSubscribe,
+  const subscribe = React.useCallback(
+    (callback) => subscribeExternalResource("script", src, callback),
+    [src]
+  );
+
+  const getSnapshot = () => getExternalResource("script", src).status;
+
+  const getServerSnapshot = () => "loading";
+
+  const status = React.useSyncExternalStore(
+    subscribe,
     getSnapshot,
-    getSessionStorageServerSnapshot
+    getServerSnapshot
   );
 
-  const setState = React.useCallback(
-    (v) => {
-      try {
-        const nextState = typeof v === "function" ? v(JSON.parse(store)) : v;
+  React.useEffect(() => {
+    const resource = acquireExternalResource("script", src, optionsRef.current);
 
-        if (nextState === undefined || nextState === null) {
-          removeSessionStorageItem(key);
-        } else {
-          setSessionStorageItem(key, nextState);
-        }
-      } catch (e) {
-        console.warn(e);
+    return () => {
+      releaseExternalResource(
+        resource,
+        optionsRef.current.removeOnUnmount === true
+      );
+    };
+  }, [src]);
+
+  return status;
+}
+
+const getScrollDirection = (previous, next, backward, forward) => {
+  if (previous === null || previous === next) return null;
+  return next > previous ? forward : backward;
+};
+
+const observeScroll = (element, delay, setState) => {
+  let timeoutId;
+
+  const update = (isScrolling) => {
+    const x = element.scrollLeft;
+    const y = element.scrollTop;
+    const maxY = element.scrollHeight - element.clientHeight;
+
+    setState((s) => ({
+      x,
+      y,
+      direction: {
+        x: getScrollDirection(s.x, x, "left", "right") ?? s.direction.x,
+        y: getScrollDirection(s.y, y, "up", "down") ?? s.direction.y,
+      },
+      progress: maxY > 0 ? Math.min(1, Math.max(0, y / maxY)) : 0,
+      isAtTop: y <= 0,
+      isAtBottom: y >= maxY - 1,
+      isScrolling,
+    }));
+  };
+
+  const handleFrame = throttle(() => update(true), 0, {
+    raf: true,
+    leading: false,
+  });
+
+  const handleScroll = () => {
+    handleFrame();
+    window.clearTimeout(timeoutId);
+    timeoutId = window.setTimeout(() => {
+      handleFrame.cancel();
+      update(false);
+    }, delay);
+  };
+
+  update(false);
+  element.addEventListener("scroll", handleScroll, { passive: true });
+
+  return () => {
+    element.removeEventListener("scroll", handleScroll);
+    handleFrame.cancel();
+    window.clearTimeout(timeoutId);
+  };
+};
+
+export function useScroll(options = {}) {
+  const { delay = 150 } = options;
+  const [state, setState] = React.useState({
+    x: null,
+    y: null,
+    direction: { x: null, y: null },
+    progress: 0,
+    isAtTop: true,
+    isAtBottom: false,
+    isScrolling: false,
+  });
+
+  const nodeRef = React.useRef(null);
+  const cleanupRef = React.useRef(null);
+
+  const customRef = React.useCallback(
+    (node) => {
+      if (cleanupRef.current) {
+        cleanupRef.current();
+        cleanupRef.current = null;
+      }
+
+      nodeRef.current = node?.nodeType === Node.ELEMENT_NODE ? node : null;
+
+      if (nodeRef.current) {
+        cleanupRef.current = observeScroll(nodeRef.current, delay, setState);
       }
     },
-    [key, store]
+    [delay]
   );
 
-  React.useEffect(() => {
-    if (
-      getSessionStorageItem(key) === null &&
-      typeof initialValue !== "undefined"
-    ) {
-      setSessionStorageItem(key, initialValue);
+  const scrollTo = React.useCallback((...args) => {
+    if (typeof args[0] === "object") {
+      nodeRef.current?.scrollTo(args[0]);
+    } else if (typeof args[0] === "number" && typeof args[1] === "number") {
+      nodeRef.current?.scrollTo(args[0], args[1]);
+    } else {
+      throw new Error(
+        `Invalid arguments passed to scrollTo. See here for more info. https://developer.mozilla.org/en-US/docs/Web/API/Element/scrollTo`
+      );
     }
-  }, [key, initialValue]);
+  }, []);
+
+  const scrollIntoView = React.useCallback((target, scrollOptions) => {
+    const element =
+      typeof target === "string"
+        ? nodeRef.current?.querySelector(target)
+        : target;
+
+    element?.scrollIntoView(scrollOptions);
+  }, []);
+
+  return [customRef, state, scrollTo, scrollIntoView];
+}
 
-  return [store ? JSON.parse(store) : initialValue, setState];
+export function useSessionStorage(key, initialValue, options) {
+  return useWebStorage("sessionStorage", key, initialValue, options);
 }
 
 export function useSet(values) {
@@ -1238,29 +3941,92 @@ export function useSet(values) {
   return setRef.current;
 }
 
-export function useThrottle(value, interval = 500) {
-  const [throttledValue, setThrottledValue] = React.useState(value);
-  const lastUpdated = React.useRef(null);
+export function useStylesheet(href, options = {}) {
+  const optionsRef = React.useRef(options);
+
+  const subscribe = React.useCallback(
+    (callback) => subscribeExternalResource("stylesheet", href, callback),
+    [href]
+  );
+
+  const getSnapshot = () => getExternalResource("stylesheet", href).status;
+
+  const getServerSnapshot = () => "loading";
+
+  const status = React.useSyncExternalStore(
+    subscribe,
+    getSnapshot,
+    getServerSnapshot
+  );
 
   React.useEffect(() => {
-    const now = Date.now();
+    const resource = acquireExternalResource(
+      "stylesheet",
+      href,
+      optionsRef.current
+    );
 
-    if (lastUpdated.current && now >= lastUpdated.current + interval) {
-      lastUpdated.current = now;
-      setThrottledValue(value);
-    } else {
-      const id = window.setTimeout(() => {
-        lastUpdated.current = now;
-        setThrottledValue(value);
-      }, interval);
+    return () => {
+      releaseExternalResource(
+        resource,
+        optionsRef.current.removeOnUnmount === true
+      );
+    };
+  }, [href]);
+
+  return status;
+}
+
+export function useThrottle(value, interval = 500, options = {}) {
+  const [throttledValue, setThrottledValue] = React.useState(value);
+
+  const throttledSetValue = useThrottledCallback(
+    setThrottledValue,
+    interval,
+    options
+  );
 
-      return () => window.clearTimeout(id);
+  const isFirstRun = React.useRef(true);
+
+  React.useEffect(() => {
+    if (isFirstRun.current) {
+      isFirstRun.current = false;
+      return;
     }
-  }, [value, interval]);
+
+    throttledSetValue(value);
+  }, [value, throttledSetValue]);
 
   return throttledValue;
 }
 
+export function useThrottledCallback(fn, interval = 500, options = {}) {
+  const { leading = true, trailing = true, raf = false } = options;
+  const fnRef = React.useRef(fn);
+
+  React.useLayoutEffect(() => {
+    fnRef.current = fn;
+  });
+
+  const throttled = React.useMemo(
+    () =>
+      throttle((...args) => fnRef.current(...args), interval, {
+        leading,
+        trailing,
+        raf,
+      }),
+    [interval, leading, trailing, raf]
+  );
+
+  React.useEffect(() => {
+    return () => {
+      throttled.cancel();
+    };
+  }, [throttled]);
+
+  return throttled;
+}
+
 export function useToggle(initialValue) {
   const [on, setOn] = React.useState(() => {
     if (typeof initialValue === "boolean") {
@@ -1293,25 +4059,121 @@ const getVisibilityChangeSnapshot = () => {
   return document.visibilityState;
 };
 
-const getVisibilityChangeServerSnapshot = () => {
-  throw Error("useVisibilityChange is a client-only hook");
-};
+export function useVisibilityChange(options = {}) {
+  const { serverValue = true } = options;
+
+  const getServerSnapshot = () => (serverValue ? "visible" : "hidden");
 
-export function useVisibilityChange() {
   const visibilityState = React.useSyncExternalStore(
     useVisibilityChangeSubscribe,
     getVisibilityChangeSnapshot,
-    getVisibilityChangeServerSnapshot
+    getServerSnapshot
   );
 
   return visibilityState === "visible";
 }
 
-export function useWindowScroll() {
-  const [state, setState] = React.useState({
-    x: null,
-    y: null,
-  });
+const createWindowStore = (getTarget, events, read) => {
+  const listeners = new Set();
+  let snapshot = null;
+  let target = null;
+
+  const notify = throttle(
+    () => {
+      listeners.forEach((listener) => listener());
+    },
+    0,
+    { raf: true, leading: false }
+  );
+
+  const subscribe = (listener) => {
+    if (listeners.size === 0) {
+      target = getTarget();
+      events.forEach((event) =>
+        target.addEventListener(event, notify, { passive: true })
+      );
+    }
+
+    listeners.add(listener);
+
+    return () => {
+      listeners.delete(listener);
+
+      if (listeners.size === 0) {
+        events.forEach((event) => target.removeEventListener(event, notify));
+        notify.cancel();
+        target = null;
+      }
+    };
+  };
+
+  const getSnapshot = () => {
+    const nextSnapshot = read();
+
+    if (!snapshot || !isShallowEqual(snapshot, nextSnapshot)) {
+      snapshot = nextSnapshot;
+    }
+
+    return snapshot;
+  };
+
+  return { subscribe, getSnapshot };
+};
+
+const visualViewportStore = createWindowStore(
+  () => window.visualViewport ?? window,
+  ["resize", "scroll"],
+  () => {
+    const viewport = window.visualViewport;
+
+    return {
+      width: viewport?.width ?? window.innerWidth,
+      height: viewport?.height ?? window.innerHeight,
+      offsetLeft: viewport?.offsetLeft ?? 0,
+      offsetTop: viewport?.offsetTop ?? 0,
+      pageLeft: viewport?.pageLeft ?? window.scrollX,
+      pageTop: viewport?.pageTop ?? window.scrollY,
+      scale: viewport?.scale ?? 1,
+    };
+  }
+);
+
+const visualViewportServerSnapshot = {
+  width: null,
+  height: null,
+  offsetLeft: 0,
+  offsetTop: 0,
+  pageLeft: 0,
+  pageTop: 0,
+  scale: 1,
+};
+
+export function useVisualViewport(options = {}) {
+  const { serverValue = visualViewportServerSnapshot } = options;
+
+  return React.useSyncExternalStore(
+    visualViewportStore.subscribe,
+    visualViewportStore.getSnapshot,
+    () => serverValue
+  );
+}
+
+const windowScrollStore = createWindowStore(
+  () => window,
+  ["scroll"],
+  () => ({ x: window.scrollX, y: window.scrollY })
+);
+
+const windowScrollServerSnapshot = { x: null, y: null };
+
+export function useWindowScroll(options = {}) {
+  const { serverValue = windowScrollServerSnapshot } = options;
+
+  const state = React.useSyncExternalStore(
+    windowScrollStore.subscribe,
+    windowScrollStore.getSnapshot,
+    () => serverValue
+  );
 
   const scrollTo = React.useCallback((...args) => {
     if (typeof args[0] === "object") {
@@ -1325,43 +4187,23 @@ export function useWindowScroll() {
     }
   }, []);
 
-  React.useLayoutEffect(() => {
-    const handleScroll = () => {
-      setState({ x: window.scrollX, y: window.scrollY });
-    };
-
-    handleScroll();
-    window.addEventListener("scroll", handleScroll);
-
-    return () => {
-      window.removeEventListener("scroll", handleScroll);
-    };
-  }, []);
-
   return [state, scrollTo];
 }
 
-export function useWindowSize() {
-  const [size, setSize] = React.useState({
-    width: null,
-    height: null,
-  });
-
-  React.useLayoutEffect(() => {
-    const handleResize = () => {
-      setSize({
-        width: window.innerWidth,
-        height: window.innerHeight,
-      });
-    };
+const windowSizeStore = createWindowStore(
+  () => window,
+  ["resize"],
+  () => ({ width: window.innerWidth, height: window.innerHeight })
+);
 
-    handleResize();
-    window.addEventListener("resize", handleResize);
+const windowSizeServerSnapshot = { width: null, height: null };
 
-    return () => {
-      window.removeEventListener("resize", handleResize);
-    };
-  }, []);
+export function useWindowSize(options = {}) {
+  const { serverValue = windowSizeServerSnapshot } = options;
 
-  return size;
+  return React.useSyncExternalStore(
+    windowSizeStore.subscribe,
+    windowSizeStore.getSnapshot,
+    () => serverValue
+  );
 }